@@ -19,21 +19,17 @@ var state = new Trie()
 var blockchain = new Blockchain(blockchainDB)
 blockchain.ethash.cacheDB = new Level('./.cachedb')
 
+// the test chain runs with homestead rules from the genesis block on
 var vm = new VM({
   state: state,
-  blockchain: blockchain
-})
-var genesisBlock = new Block()
-
-vm.on('beforeTx', function (tx) {
-  tx._homestead = true
-})
-
-vm.on('beforeBlock', function (block) {
-  block.header.isHomestead = function () {
-    return true
+  blockchain: blockchain,
+  chain: {
+    hardforks: {
+      homestead: 0
+    }
   }
 })
+var genesisBlock = new Block()
 
 async.series([
   // set up pre-state
@@ -0,0 +1,155 @@
+const Buffer = require('safe-buffer').Buffer
+const inherits = require('util').inherits
+const ethUtil = require('ethereumjs-util')
+const EthBlock = require('ethereumjs-block')
+const Transaction = require('ethereumjs-tx')
+const hardforks = require('./hardforks.js')
+const TypedTransaction = require('./typedTransaction.js')
+const BN = ethUtil.BN
+const rlp = ethUtil.rlp
+
+// the number of header fields before london, `baseFeePerGas` follows them
+const BASE_FEE_INDEX = 15
+
+/**
+ * A block header of `ethereumjs-block` which, since london, has the
+ * `baseFeePerGas` of EIP-1559 as its last field. It is serialized and hashed
+ * with the other fields when it is set
+ * @constructor
+ * @param {Array|Buffer|Object} [data] the raw or RLP encoded header, or an `Object` with its fields
+ * @prop {Buffer} baseFeePerGas the base fee of the block, `undefined` before london
+ */
+var BlockHeader = function (data) {
+  var baseFeePerGas
+  if (Buffer.isBuffer(data)) {
+    data = rlp.decode(data)
+  }
+  if (Array.isArray(data)) {
+    baseFeePerGas = data[BASE_FEE_INDEX]
+    data = data.slice(0, BASE_FEE_INDEX)
+  } else if (data) {
+    baseFeePerGas = data.baseFeePerGas
+  }
+
+  EthBlock.Header.call(this, data)
+
+  Object.defineProperty(this, 'baseFeePerGas', {
+    enumerable: true,
+    configurable: true,
+    get: function () {
+      return this.raw[BASE_FEE_INDEX]
+    },
+    set: function (value) {
+      if (value === undefined || value === null) {
+        this.raw.splice(BASE_FEE_INDEX)
+      } else {
+        this.raw[BASE_FEE_INDEX] = ethUtil.unpad(ethUtil.toBuffer(value))
+      }
+    }
+  })
+  this.baseFeePerGas = baseFeePerGas
+
+  var toJSON = this.toJSON
+  this.toJSON = function (labeled) {
+    var json = toJSON.call(this, labeled)
+    if (labeled && this.baseFeePerGas) {
+      json.baseFeePerGas = '0x' + this.baseFeePerGas.toString('hex')
+    }
+    return json
+  }
+}
+
+inherits(BlockHeader, EthBlock.Header)
+
+/**
+ * Returns the base fee the block must have as the child of `parentBlock`.
+ * It moves by at most 1/8 towards keeping the gas used at half of the gas
+ * limit, the first london block has the initial base fee
+ * @param {Block} parentBlock the parent `Block` of this header
+ * @return {BN}
+ */
+BlockHeader.prototype.canonicalBaseFee = function (parentBlock) {
+  var params = hardforks.params('london')
+  var parentHeader = parentBlock.header
+  if (parentHeader.baseFeePerGas === undefined) {
+    return new BN(params.initialBaseFee.v)
+  }
+
+  var parentBaseFee = new BN(parentHeader.baseFeePerGas)
+  var parentGasUsed = new BN(parentHeader.gasUsed)
+  var gasTarget = new BN(parentHeader.gasLimit).divn(params.elasticityMultiplier.v)
+  if (parentGasUsed.eq(gasTarget)) {
+    return parentBaseFee
+  }
+
+  var delta = parentBaseFee.mul(parentGasUsed.sub(gasTarget).abs())
+    .div(gasTarget)
+    .divn(params.baseFeeMaxChangeDenominator.v)
+  if (parentGasUsed.gt(gasTarget)) {
+    return parentBaseFee.add(BN.max(delta, new BN(1)))
+  }
+  return parentBaseFee.sub(delta)
+}
+
+/**
+ * Checks the base fee against the one of `canonicalBaseFee`
+ * @param {Block} parentBlock the parent `Block` of this header
+ * @return {Boolean}
+ */
+BlockHeader.prototype.validateBaseFee = function (parentBlock) {
+  return this.baseFeePerGas !== undefined &&
+    new BN(this.baseFeePerGas).eq(this.canonicalBaseFee(parentBlock))
+}
+
+/**
+ * A block of `ethereumjs-block` whose header and ommer headers are `BlockHeader`s.
+ * Its transactions can be typed transactions (EIP-2718), which are encoded as
+ * their serialization in the block and in the transaction trie
+ * @constructor
+ * @param {Array|Buffer|Object} [data] the raw or RLP encoded block, or an `Object` with its `header`, `transactions` and `uncleHeaders`
+ */
+var Block = module.exports = function (data) {
+  var header, rawTransactions, rawUncleHeaders
+  if (Buffer.isBuffer(data)) {
+    data = rlp.decode(data)
+  }
+  if (Array.isArray(data)) {
+    header = data[0]
+    rawTransactions = data[1]
+    rawUncleHeaders = data[2]
+  } else if (data) {
+    header = data.header
+    rawTransactions = data.transactions
+    rawUncleHeaders = data.uncleHeaders
+  }
+
+  EthBlock.call(this)
+
+  this.header = new BlockHeader(header)
+  this.transactions = (rawTransactions || []).map(function (rawTx) {
+    // typed transactions are byte strings, legacy transactions lists
+    var tx = Buffer.isBuffer(rawTx) ? TypedTransaction.fromSerialized(rawTx) : new Transaction(rawTx)
+    tx._homestead = true
+    return tx
+  })
+  this.uncleHeaders = (rawUncleHeaders || []).map(function (rawHeader) {
+    return new BlockHeader(rawHeader)
+  })
+}
+
+inherits(Block, EthBlock)
+
+/**
+ * Produces a serialization of the block
+ * @param {Boolean} [rlpEncode=true] whether to RLP encode the block or not
+ * @return {Buffer|Array}
+ */
+Block.prototype.serialize = function (rlpEncode) {
+  var raw = EthBlock.prototype.serialize.call(this, false)
+  raw[1] = this.transactions.map(function (tx) {
+    return tx.type ? tx.serialize() : tx.raw
+  })
+  return rlpEncode === false ? raw : rlp.encode(raw)
+}
+
+Block.Header = BlockHeader
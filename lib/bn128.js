@@ -0,0 +1,362 @@
+/*
+
+Arithmetic on the alt_bn128 curve y^2 = x^3 + 3 used by the precompiled
+contracts of EIP-196 and EIP-197.
+
+NOTES:
+
+G1 points are `[x, y]` arrays of `BN`s, G2 points are `[x, y]` arrays of
+Fp2 elements on the twisted curve y^2 = x^3 + 3 / (9 + i). `null` is the
+point at infinity.
+
+Fp2 elements are `[a, b]` standing for a + b * i with i^2 = -1. Fp12 elements
+are arrays of 12 coefficients of a polynomial in w with w^12 = 18 * w^6 - 82.
+Fp2 maps into Fp12 by i -> w^6 - 9, which lets the pairing do all the curve
+arithmetic on the twist and only evaluate the lines in Fp12.
+*/
+const Buffer = require('safe-buffer').Buffer
+const BN = require('ethereumjs-util').BN
+
+// the field modulus
+const P = new BN('21888242871839275222246405745257275088696311157297823662689037894645226208583')
+// the order of G1 and G2
+const ORDER = new BN('21888242871839275222246405745257275088548364400416034343698204186575808495617')
+// 6 * u + 2 for the BN parameter u
+const ATE_LOOP_COUNT = new BN('29793968203157093288')
+const LOG_ATE_LOOP_COUNT = 63
+const FINAL_EXPONENT = P.pow(new BN(12)).subn(1).div(ORDER)
+
+//
+// Fp
+//
+const fp = {
+  zero: new BN(0),
+  one: new BN(1),
+  add: function (a, b) {
+    return a.add(b).umod(P)
+  },
+  sub: function (a, b) {
+    return a.sub(b).umod(P)
+  },
+  mul: function (a, b) {
+    return a.mul(b).umod(P)
+  },
+  inv: function (a) {
+    return a.invm(P)
+  },
+  neg: function (a) {
+    return P.sub(a).umod(P)
+  },
+  eq: function (a, b) {
+    return a.eq(b)
+  },
+  isZero: function (a) {
+    return a.isZero()
+  },
+  fromNumber: function (n) {
+    return new BN(n)
+  }
+}
+
+//
+// Fp2
+//
+const fp2 = {
+  zero: [fp.zero, fp.zero],
+  one: [fp.one, fp.zero],
+  add: function (a, b) {
+    return [fp.add(a[0], b[0]), fp.add(a[1], b[1])]
+  },
+  sub: function (a, b) {
+    return [fp.sub(a[0], b[0]), fp.sub(a[1], b[1])]
+  },
+  mul: function (a, b) {
+    return [
+      a[0].mul(b[0]).isub(a[1].mul(b[1])).umod(P),
+      a[0].mul(b[1]).iadd(a[1].mul(b[0])).umod(P)
+    ]
+  },
+  inv: function (a) {
+    var inv = fp.inv(a[0].sqr().iadd(a[1].sqr()).umod(P))
+    return [fp.mul(a[0], inv), fp.neg(fp.mul(a[1], inv))]
+  },
+  neg: function (a) {
+    return [fp.neg(a[0]), fp.neg(a[1])]
+  },
+  conj: function (a) {
+    return [a[0], fp.neg(a[1])]
+  },
+  pow: function (a, e) {
+    var result = fp2.one
+    for (var i = e.bitLength() - 1; i >= 0; i--) {
+      result = fp2.mul(result, result)
+      if (e.testn(i)) {
+        result = fp2.mul(result, a)
+      }
+    }
+    return result
+  },
+  eq: function (a, b) {
+    return a[0].eq(b[0]) && a[1].eq(b[1])
+  },
+  isZero: function (a) {
+    return a[0].isZero() && a[1].isZero()
+  },
+  fromNumber: function (n) {
+    return [new BN(n), fp.zero]
+  }
+}
+
+const XI = [new BN(9), new BN(1)]
+const B1 = new BN(3)
+const B2 = fp2.mul(fp2.fromNumber(3), fp2.inv(XI))
+// constants of the Frobenius map on the twist
+const FROBENIUS_X = fp2.pow(XI, P.subn(1).divn(3))
+const FROBENIUS_Y = fp2.pow(XI, P.subn(1).divn(2))
+
+//
+// Fp12
+//
+function fp12One () {
+  var result = new Array(12)
+  for (var i = 0; i < 12; i++) {
+    result[i] = fp.zero
+  }
+  result[0] = fp.one
+  return result
+}
+
+function fp12Mul (a, b) {
+  var i
+  var product = new Array(23)
+  for (i = 0; i < 23; i++) {
+    product[i] = new BN(0)
+  }
+
+  for (i = 0; i < 12; i++) {
+    if (a[i].isZero()) continue
+    for (var j = 0; j < 12; j++) {
+      if (b[j].isZero()) continue
+      product[i + j].iadd(a[i].mul(b[j]))
+    }
+  }
+
+  // reduce with w^12 = 18 * w^6 - 82
+  for (i = 22; i >= 12; i--) {
+    var top = product[i].umod(P)
+    product[i - 6].iadd(top.muln(18))
+    product[i - 12].isub(top.muln(82))
+  }
+
+  var result = new Array(12)
+  for (i = 0; i < 12; i++) {
+    result[i] = product[i].umod(P)
+  }
+  return result
+}
+
+function fp12Pow (a, e) {
+  var result = fp12One()
+  for (var i = e.bitLength() - 1; i >= 0; i--) {
+    result = fp12Mul(result, result)
+    if (e.testn(i)) {
+      result = fp12Mul(result, a)
+    }
+  }
+  return result
+}
+
+function fp12IsOne (a) {
+  for (var i = 1; i < 12; i++) {
+    if (!a[i].isZero()) return false
+  }
+  return a[0].eqn(1)
+}
+
+// sets the coefficients of w^k and w^(k + 6) to the image of an Fp2 element
+function embed (coeffs, k, a) {
+  // a + b * i -> (a - 9 * b) + b * w^6
+  coeffs[k] = fp.add(coeffs[k], fp.sub(a[0], a[1].muln(9).umod(P)))
+  coeffs[k + 6] = fp.add(coeffs[k + 6], a[1])
+}
+
+//
+// curve arithmetic, generic over the field
+//
+function isOnCurve (F, point, b) {
+  if (point === null) return true
+  var x = point[0]
+  var y = point[1]
+  return F.eq(F.sub(F.mul(y, y), F.mul(F.mul(x, x), x)), b)
+}
+
+function pointDouble (F, point) {
+  if (point === null || F.isZero(point[1])) return null
+  var x = point[0]
+  var y = point[1]
+  var lambda = F.mul(F.mul(F.fromNumber(3), F.mul(x, x)), F.inv(F.add(y, y)))
+  var newX = F.sub(F.mul(lambda, lambda), F.add(x, x))
+  var newY = F.sub(F.mul(lambda, F.sub(x, newX)), y)
+  return [newX, newY]
+}
+
+function pointAdd (F, p1, p2) {
+  if (p1 === null) return p2
+  if (p2 === null) return p1
+  if (F.eq(p1[0], p2[0])) {
+    return F.eq(p1[1], p2[1]) ? pointDouble(F, p1) : null
+  }
+  var lambda = F.mul(F.sub(p2[1], p1[1]), F.inv(F.sub(p2[0], p1[0])))
+  var newX = F.sub(F.sub(F.mul(lambda, lambda), p1[0]), p2[0])
+  var newY = F.sub(F.mul(lambda, F.sub(p1[0], newX)), p1[1])
+  return [newX, newY]
+}
+
+function pointMul (F, point, n) {
+  var result = null
+  for (var i = n.bitLength() - 1; i >= 0; i--) {
+    result = pointDouble(F, result)
+    if (n.testn(i)) {
+      result = pointAdd(F, result, point)
+    }
+  }
+  return result
+}
+
+//
+// pairing
+//
+
+// evaluates the line through the twisted points R1 and R2 at the G1 point P
+function lineFunc (R1, R2, P) {
+  var coeffs = fp12One()
+  coeffs[0] = fp.zero
+  var lambda
+
+  if (!fp2.eq(R1[0], R2[0])) {
+    lambda = fp2.mul(fp2.sub(R2[1], R1[1]), fp2.inv(fp2.sub(R2[0], R1[0])))
+  } else if (fp2.eq(R1[1], R2[1])) {
+    lambda = fp2.mul(fp2.mul(fp2.fromNumber(3), fp2.mul(R1[0], R1[0])), fp2.inv(fp2.add(R1[1], R1[1])))
+  } else {
+    // vertical line: xP - x1 * w^2
+    coeffs[0] = P[0]
+    embed(coeffs, 2, fp2.neg(R1[0]))
+    return coeffs
+  }
+
+  // yP - lambda * xP * w + (lambda * x1 - y1) * w^3
+  coeffs[0] = P[1]
+  embed(coeffs, 1, fp2.neg(fp2.mul(lambda, [P[0], fp.zero])))
+  embed(coeffs, 3, fp2.sub(fp2.mul(lambda, R1[0]), R1[1]))
+  return coeffs
+}
+
+// the Frobenius endomorphism expressed on the twist
+function frobenius (Q) {
+  return [fp2.mul(fp2.conj(Q[0]), FROBENIUS_X), fp2.mul(fp2.conj(Q[1]), FROBENIUS_Y)]
+}
+
+function millerLoop (Q, P) {
+  var R = Q
+  var f = fp12One()
+  for (var i = LOG_ATE_LOOP_COUNT; i >= 0; i--) {
+    f = fp12Mul(fp12Mul(f, f), lineFunc(R, R, P))
+    R = pointDouble(fp2, R)
+    if (ATE_LOOP_COUNT.testn(i)) {
+      f = fp12Mul(f, lineFunc(R, Q, P))
+      R = pointAdd(fp2, R, Q)
+    }
+  }
+
+  var Q1 = frobenius(Q)
+  var nQ2 = frobenius(Q1)
+  nQ2 = [nQ2[0], fp2.neg(nQ2[1])]
+  f = fp12Mul(f, lineFunc(R, Q1, P))
+  R = pointAdd(fp2, R, Q1)
+  return fp12Mul(f, lineFunc(R, nQ2, P))
+}
+
+//
+// encoding
+//
+function readFp (buf, offset) {
+  var value = new BN(buf.slice(offset, offset + 32))
+  if (value.gte(P)) {
+    throw new Error('invalid field element')
+  }
+  return value
+}
+
+/**
+ * Decodes a G1 point from 64 bytes, (0, 0) being the point at infinity
+ * @param {Buffer} buf
+ * @return {Array|null}
+ * @throws if the point is not on the curve
+ */
+exports.decodeG1 = function (buf) {
+  var x = readFp(buf, 0)
+  var y = readFp(buf, 32)
+  if (x.isZero() && y.isZero()) return null
+
+  var point = [x, y]
+  if (!isOnCurve(fp, point, B1)) {
+    throw new Error('point not on curve')
+  }
+  return point
+}
+
+/**
+ * Decodes a G2 point from 128 bytes. Every Fp2 element is encoded as the
+ * coefficient of i followed by the constant term
+ * @param {Buffer} buf
+ * @return {Array|null}
+ * @throws if the point is not on the twisted curve or not in the subgroup
+ */
+exports.decodeG2 = function (buf) {
+  var x = [readFp(buf, 32), readFp(buf, 0)]
+  var y = [readFp(buf, 96), readFp(buf, 64)]
+  if (fp2.isZero(x) && fp2.isZero(y)) return null
+
+  var point = [x, y]
+  if (!isOnCurve(fp2, point, B2)) {
+    throw new Error('point not on curve')
+  }
+  if (pointMul(fp2, point, ORDER) !== null) {
+    throw new Error('point not in subgroup')
+  }
+  return point
+}
+
+/**
+ * Encodes a G1 point as 64 bytes
+ * @param {Array|null} point
+ * @return {Buffer}
+ */
+exports.encodeG1 = function (point) {
+  if (point === null) {
+    return Buffer.alloc(64)
+  }
+  return Buffer.concat([point[0].toArrayLike(Buffer, 'be', 32), point[1].toArrayLike(Buffer, 'be', 32)])
+}
+
+exports.add = function (p1, p2) {
+  return pointAdd(fp, p1, p2)
+}
+
+exports.mul = function (point, n) {
+  return pointMul(fp, point, n)
+}
+
+/**
+ * Checks if the product of the pairings of the given points is one
+ * @param {Array} pairs an `Array` of `[g1Point, g2Point]`
+ * @return {Boolean}
+ */
+exports.pairingCheck = function (pairs) {
+  var f = fp12One()
+  pairs.forEach(function (pair) {
+    if (pair[0] === null || pair[1] === null) return
+    f = fp12Mul(f, millerLoop(pair[1], pair[0]))
+  })
+  return fp12IsOne(fp12Pow(f, FINAL_EXPONENT))
+}
@@ -3,5 +3,13 @@ exports.ERROR = {
   STACK_UNDERFLOW: 'stack underflow',
   STACK_OVERFLOW: 'stack overflow',
   INVALID_JUMP: 'invalid JUMP',
-  INVALID_OPCODE: 'invalid opcode'
+  INVALID_OPCODE: 'invalid opcode',
+  INVALID_INPUT: 'invalid input',
+  OUT_OF_RANGE: 'value out of range',
+  STATIC_STATE_CHANGE: 'static state change',
+  REVERT: 'revert',
+  CREATE_COLLISION: 'contract address collision',
+  INVALID_CODE: 'invalid code',
+  MAX_CALL_DEPTH: 'max call depth exceeded',
+  INSUFFICIENT_BALANCE: 'insufficient balance for transfer'
 }
@@ -0,0 +1,286 @@
+const Buffer = require('safe-buffer').Buffer
+const inherits = require('util').inherits
+const EventEmitter = require('events').EventEmitter
+const utils = require('ethereumjs-util')
+const Tracer = require('./tracers/tracer.js')
+const BN = utils.BN
+
+/**
+ * Pauses the code run by a VM at breakpoints and steps through it. It emits
+ * `paused` with the `state` of the step it paused at, which runs once the
+ * debugger is resumed or stepped
+ * @constructor
+ * @param {VM} vm the VM to debug
+ */
+var Debugger = module.exports = function (vm) {
+  EventEmitter.call(this)
+  this.vm = vm
+  this.breakpoints = []
+  // the state of the step the debugger is paused at
+  this.state = null
+  // the message calls which haven't returned yet
+  this._frames = []
+  this._step = null
+  this._resume = null
+  // how to step when resumed, `null` runs to the next breakpoint
+  this._stepping = null
+  this._listeners = {
+    beforeTx: this._beforeTx.bind(this),
+    beforeCall: this._beforeCall.bind(this),
+    step: this._onStep.bind(this),
+    afterCall: this._afterCall.bind(this)
+  }
+  this.attach()
+}
+
+inherits(Debugger, EventEmitter)
+
+/**
+ * Starts debugging, the debugger is attached when it is created
+ */
+Debugger.prototype.attach = Tracer.prototype.attach
+
+/**
+ * Stops debugging and resumes the code if it is paused
+ */
+Debugger.prototype.detach = function () {
+  Tracer.prototype.detach.call(this)
+  this._stepping = null
+  if (this._resume) {
+    this._continue()
+  }
+}
+
+/**
+ * Pauses before the instruction at `pc` of the code of a contract runs
+ * @param {Object} location
+ * @param {Buffer|String} location.address the address of the contract
+ * @param {Number} location.pc the program counter of the instruction
+ * @return {Object} the breakpoint
+ */
+Debugger.prototype.breakAt = function (location) {
+  return this._addBreakpoint({
+    type: 'pc',
+    address: toAddress(location.address),
+    pc: location.pc
+  })
+}
+
+/**
+ * Pauses before every instruction with the opcode `name` runs
+ * @param {String} name e.g. `SSTORE` or `PUSH1`
+ * @return {Object} the breakpoint
+ */
+Debugger.prototype.breakOnOpcode = function (name) {
+  return this._addBreakpoint({
+    type: 'opcode',
+    opcode: name
+  })
+}
+
+/**
+ * Pauses before a storage slot is written
+ * @param {Buffer|String|Number} slot the storage slot
+ * @param {Buffer|String} [address] the contract whose slot it is, any contract if not given
+ * @return {Object} the breakpoint
+ */
+Debugger.prototype.breakOnStorageWrite = function (slot, address) {
+  return this._addBreakpoint({
+    type: 'storageWrite',
+    slot: utils.setLengthLeft(utils.toBuffer(slot), 32).toString('hex'),
+    address: address ? toAddress(address) : null
+  })
+}
+
+/**
+ * Removes a breakpoint
+ * @param {Object} breakpoint as returned when it was added
+ */
+Debugger.prototype.removeBreakpoint = function (breakpoint) {
+  var index = this.breakpoints.indexOf(breakpoint)
+  if (index !== -1) {
+    this.breakpoints.splice(index, 1)
+  }
+}
+
+/**
+ * Removes all of the breakpoints
+ */
+Debugger.prototype.clearBreakpoints = function () {
+  this.breakpoints = []
+}
+
+/**
+ * Runs to the next breakpoint
+ */
+Debugger.prototype.resume = function () {
+  this._stepping = null
+  this._continue()
+}
+
+/**
+ * Pauses at the next step, in a sub call if the paused instruction makes one.
+ * When the debugger isn't paused it pauses at the first step the VM runs
+ */
+Debugger.prototype.stepInto = function () {
+  this._stepping = { depth: Infinity }
+  this._continue()
+}
+
+/**
+ * Pauses at the next step of the current call frame, or of the frame it
+ * returns to, running the sub calls the paused instruction makes
+ */
+Debugger.prototype.stepOver = function () {
+  this._stepping = { depth: this._pausedState().depth }
+  this._continue()
+}
+
+/**
+ * Pauses at the next step of the call frame the current one returns to
+ */
+Debugger.prototype.stepOut = function () {
+  this._stepping = { depth: this._pausedState().depth - 1 }
+  this._continue()
+}
+
+/**
+ * Returns the stack at the pause point
+ * @return {Array} the stack items as 32 byte `Buffer`s, from the bottom
+ */
+Debugger.prototype.getStack = function () {
+  this._pausedState()
+  return this._step.stack.map(function (item) {
+    return utils.setLengthLeft(item, 32)
+  })
+}
+
+/**
+ * Returns the memory at the pause point
+ * @return {Buffer}
+ */
+Debugger.prototype.getMemory = function () {
+  this._pausedState()
+  return Buffer.from(this._step.memory)
+}
+
+/**
+ * Reads a storage slot of the paused contract, with the changes made so far
+ * @param {Buffer|String|Number} slot
+ * @param {Function} cb given an error or `null` and the value as a `Buffer`
+ */
+Debugger.prototype.getStorage = function (slot, cb) {
+  var address = this._pausedState().address
+  var key = utils.setLengthLeft(utils.toBuffer(slot), 32)
+  this.vm.stateManager.getContractStorage(address, key, cb)
+}
+
+/**
+ * Returns the message calls which haven't returned yet, the innermost last
+ * @return {Array} the calls with their `type`, the `caller`, the `address`
+ * they run at, the `codeAddress` whose code they run, their `depth` and the
+ * `pc` of the instruction they are at
+ */
+Debugger.prototype.getCallStack = function () {
+  return this._frames.map(function (frame) {
+    return Object.assign({}, frame)
+  })
+}
+
+Debugger.prototype._addBreakpoint = function (breakpoint) {
+  this.breakpoints.push(breakpoint)
+  return breakpoint
+}
+
+Debugger.prototype._pausedState = function () {
+  if (!this.state) {
+    throw new Error('the debugger is not paused')
+  }
+  return this.state
+}
+
+Debugger.prototype._continue = function () {
+  var resume = this._resume
+  this.state = null
+  this._step = null
+  this._resume = null
+  if (resume) {
+    resume()
+  }
+}
+
+Debugger.prototype._beforeTx = function () {
+  this._frames = []
+}
+
+Debugger.prototype._beforeCall = function (message) {
+  this._frames.push({
+    type: message.type,
+    caller: message.caller,
+    address: message.createdAddress || message.to,
+    codeAddress: message.createdAddress || message.codeAddress,
+    depth: message.depth,
+    pc: null
+  })
+}
+
+Debugger.prototype._afterCall = function () {
+  this._frames.pop()
+}
+
+Debugger.prototype._onStep = function (step, cb) {
+  var frame = this._frames[this._frames.length - 1]
+  if (frame) {
+    frame.pc = step.pc
+  }
+
+  // a delegated call runs the code of another contract at the caller's address
+  var codeAddress = frame ? frame.codeAddress : step.address
+  var breakpoint = this._findBreakpoint(step, codeAddress)
+  var stepping = this._stepping
+  if (!breakpoint && !(stepping && step.depth <= stepping.depth)) {
+    cb()
+    return
+  }
+
+  this._stepping = null
+  this._step = step
+  this._resume = cb
+  this.state = {
+    reason: breakpoint ? 'breakpoint' : 'step',
+    breakpoint: breakpoint || null,
+    pc: step.pc,
+    opcode: step.opcode.name,
+    depth: step.depth,
+    address: step.address,
+    gasLeft: new BN(step.gasLeft)
+  }
+  this.emit('paused', this.state)
+}
+
+Debugger.prototype._findBreakpoint = function (step, codeAddress) {
+  var address = step.address.toString('hex')
+  codeAddress = codeAddress.toString('hex')
+  var name = step.opcode.name
+  var stack = step.stack
+  return this.breakpoints.find(function (breakpoint) {
+    switch (breakpoint.type) {
+      case 'pc':
+        return breakpoint.address === codeAddress && breakpoint.pc === step.pc
+      case 'opcode':
+        return breakpoint.opcode === name
+      case 'storageWrite':
+        return name === 'SSTORE' &&
+          (!breakpoint.address || breakpoint.address === address) &&
+          utils.setLengthLeft(stack[stack.length - 1], 32).toString('hex') === breakpoint.slot
+    }
+  })
+}
+
+// the unprefixed hex of a `Buffer` or hex string address
+function toAddress (address) {
+  if (!Buffer.isBuffer(address)) {
+    address = utils.toBuffer(utils.addHexPrefix(address))
+  }
+  return utils.setLengthLeft(address, 20).toString('hex')
+}
@@ -0,0 +1,172 @@
+const common = require('ethereum-common')
+const BN = require('ethereumjs-util').BN
+
+/**
+ * The supported hardforks, in activation order
+ */
+const HARDFORKS = [
+  'chainstart',
+  'homestead',
+  'dao',
+  'tangerineWhistle',
+  'spuriousDragon',
+  'byzantium',
+  'constantinople',
+  'petersburg',
+  'istanbul',
+  'berlin',
+  'london',
+  'merge',
+  'shanghai',
+  'cancun'
+]
+
+// parameter changes introduced by each hardfork. Anything not listed here
+// is taken from `ethereum-common`
+const PARAMS = {
+  chainstart: {
+    expByteGas: 10,
+    maxCodeSize: 0,
+    // the refund is capped at the gas used divided by this
+    maxRefundQuotient: 2
+  },
+  spuriousDragon: {
+    // EIP-160
+    expByteGas: 50,
+    // EIP-170
+    maxCodeSize: 24576
+  },
+  byzantium: {
+    // EIP-198
+    modexpGquaddivisor: 20,
+    // EIP-196 and EIP-197
+    ecAddGas: 500,
+    ecMulGas: 40000,
+    ecPairingGas: 100000,
+    ecPairingWordGas: 80000,
+    // EIP-649
+    minerReward: '3000000000000000000'
+  },
+  constantinople: {
+    // EIP-1234
+    minerReward: '2000000000000000000'
+  },
+  istanbul: {
+    // EIP-2028
+    txDataNonZeroGas: 16,
+    // EIP-2200
+    sstoreSentryGasEIP2200: 2300,
+    sstoreNoopGasEIP2200: 800,
+    sstoreDirtyGasEIP2200: 800,
+    sstoreInitRefundEIP2200: 19200,
+    sstoreCleanRefundEIP2200: 4200,
+    // EIP-1108
+    ecAddGas: 150,
+    ecMulGas: 6000,
+    ecPairingGas: 45000,
+    ecPairingWordGas: 34000,
+    // EIP-152
+    blake2RoundGas: 1
+  },
+  berlin: {
+    // EIP-2929
+    coldSloadCost: 2100,
+    coldAccountAccessCost: 2600,
+    warmStorageReadCost: 100,
+    sstoreResetGas: 2900,
+    sstoreNoopGasEIP2200: 100,
+    sstoreDirtyGasEIP2200: 100,
+    sstoreInitRefundEIP2200: 19900,
+    sstoreCleanRefundEIP2200: 2800,
+    // EIP-2565
+    modexpGquaddivisor: 3,
+    modexpMinGas: 200
+  },
+  london: {
+    // EIP-1559
+    initialBaseFee: 1000000000,
+    baseFeeMaxChangeDenominator: 8,
+    elasticityMultiplier: 2,
+    // EIP-3529
+    maxRefundQuotient: 5,
+    sstoreRefundGas: 4800,
+    suicideRefundGas: 0
+  },
+  merge: {
+    // EIP-3675: proof-of-stake blocks have no rewards
+    minerReward: '0'
+  },
+  shanghai: {
+    // EIP-3860
+    maxInitCodeSize: 49152,
+    initCodeWordGas: 2
+  }
+}
+
+const cache = {}
+
+exports.HARDFORKS = HARDFORKS
+exports.DEFAULT = 'spuriousDragon'
+
+/**
+ * Checks if the given hardfork is known to the VM
+ * @param {String} hardfork
+ * @return {Boolean}
+ */
+exports.isSupported = function (hardfork) {
+  return HARDFORKS.indexOf(hardfork) !== -1
+}
+
+/**
+ * Checks if `hardfork` is the same as or comes after `other`
+ * @param {String} hardfork the active hardfork
+ * @param {String} other the hardfork to compare to
+ * @return {Boolean}
+ */
+exports.gte = function (hardfork, other) {
+  return HARDFORKS.indexOf(hardfork || exports.DEFAULT) >= HARDFORKS.indexOf(other)
+}
+
+/**
+ * Finds the hardfork that is active at a block number
+ * @param {Object} activations maps hardfork names to the number of the block they activate at
+ * @param {Buffer|Number} number the block number
+ * @return {String}
+ */
+exports.atBlock = function (activations, number) {
+  number = new BN(number)
+  var active = HARDFORKS[0]
+  HARDFORKS.forEach(function (hardfork) {
+    var activation = activations[hardfork]
+    // forks without an activation block are not scheduled
+    if (activation !== undefined && activation !== null && number.gte(new BN(activation))) {
+      active = hardfork
+    }
+  })
+  return active
+}
+
+/**
+ * Returns the fee schedule and other parameters of a hardfork in the same
+ * format as `ethereum-common`, i.e. every value is found under `.v`
+ * @param {String} hardfork
+ * @return {Object}
+ */
+exports.params = function (hardfork) {
+  hardfork = hardfork || exports.DEFAULT
+  if (cache[hardfork]) {
+    return cache[hardfork]
+  }
+
+  var params = Object.assign({}, common)
+  var last = HARDFORKS.indexOf(hardfork)
+  for (var i = 0; i <= last; i++) {
+    var changes = PARAMS[HARDFORKS[i]] || {}
+    Object.keys(changes).forEach(function (name) {
+      params[name] = { v: changes[name] }
+    })
+  }
+
+  cache[hardfork] = params
+  return params
+}
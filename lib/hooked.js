@@ -1,11 +1,9 @@
-const Buffer = require('safe-buffer').Buffer
 const inherits = require('util').inherits
 const async = require('async')
 const ethUtil = require('ethereumjs-util')
 const Account = require('ethereumjs-account')
 const FakeMerklePatriciaTree = require('fake-merkle-patricia-tree')
 const VM = require('./index.js')
-const ZERO_BUFFER = Buffer.alloc(32, 0)
 
 module.exports = createHookedVm
 module.exports.fromWeb3Provider = fromWeb3Provider
@@ -52,16 +50,17 @@ function createHookedVm (opts, hooks) {
     var addressHex = ethUtil.addHexPrefix(address.toString('hex'))
     async.parallel({
       nonce: hooks.fetchAccountNonce.bind(hooks, addressHex),
-      balance: hooks.fetchAccountBalance.bind(hooks, addressHex)
+      balance: hooks.fetchAccountBalance.bind(hooks, addressHex),
+      code: codeStore.get.bind(codeStore, address)
     }, function (err, results) {
       if (err) return cb(err)
 
-      results._exists = results.nonce !== '0x0' || results.balance !== '0x0' || results._code !== '0x'
+      results._exists = results.nonce !== '0x0' || results.balance !== '0x0' || results.code.length !== 0
         // console.log('fetch account results:', results)
       var account = new Account(results)
-        // not used but needs to be anything but the default (ethUtil.SHA3_NULL)
-        // code lookups are handled by `codeStore`
-      account.codeHash = ZERO_BUFFER.slice()
+        // code lookups are handled by `codeStore`, the hash is only used
+        // to tell contracts apart and for EXTCODEHASH
+      account.codeHash = ethUtil.sha3(results.code)
       cb(null, account)
     })
   }
@@ -2,18 +2,42 @@ const Buffer = require('safe-buffer').Buffer
 const util = require('util')
 const ethUtil = require('ethereumjs-util')
 const StateManager = require('./stateManager.js')
+const hardforks = require('./hardforks.js')
 const Account = require('ethereumjs-account')
 const AsyncEventEmitter = require('async-eventemitter')
-const BN = ethUtil.BN
 
 // require the percomiled contracts
 const num01 = require('./precompiled/01-ecrecover.js')
 const num02 = require('./precompiled/02-sha256.js')
 const num03 = require('./precompiled/03-ripemd160.js')
 const num04 = require('./precompiled/04-identity.js')
+const num05 = require('./precompiled/05-modexp.js')
+const num06 = require('./precompiled/06-ecadd.js')
+const num07 = require('./precompiled/07-ecmul.js')
+const num08 = require('./precompiled/08-ecpairing.js')
+const num09 = require('./precompiled/09-blake2f.js')
+
+// the hardfork in which each precompiled contract was activated
+const precompiledForks = {
+  '0000000000000000000000000000000000000001': 'chainstart',
+  '0000000000000000000000000000000000000002': 'chainstart',
+  '0000000000000000000000000000000000000003': 'chainstart',
+  '0000000000000000000000000000000000000004': 'chainstart',
+  '0000000000000000000000000000000000000005': 'byzantium',
+  '0000000000000000000000000000000000000006': 'byzantium',
+  '0000000000000000000000000000000000000007': 'byzantium',
+  '0000000000000000000000000000000000000008': 'byzantium',
+  '0000000000000000000000000000000000000009': 'istanbul'
+}
 
 module.exports = VM
 
+VM.chains = require('./chains.js')
+VM.Block = require('./block.js')
+VM.TypedTransaction = require('./typedTransaction.js')
+VM.tracers = require('./tracers/index.js')
+VM.Debugger = require('./debugger.js')
+
 VM.deps = {
   ethUtil: ethUtil,
   Account: require('ethereumjs-account'),
@@ -27,8 +51,32 @@ VM.deps = {
  * @param {Trie} [opts.state] A merkle-patricia-tree instance for the state tree
  * @param {Blockchain} [opts.blockchain] A blockchain object for storing/retrieving blocks
  * @param {Boolean} [opts.activatePrecompiles] Create entries in the state tree for the precompiled contracts
+ * @param {String} [opts.hardfork] The hardfork rules to run with, e.g. `homestead` or `byzantium` (default: `spuriousDragon`)
+ * @param {Object} [opts.chain] The chain configuration, see `VM.chains`
+ * @param {Object} [opts.chain.hardforks] Hardfork names mapped to the block number they activate at. Overrides `opts.hardfork` when a block is given
+ * @param {Number|String|Buffer|BN} [opts.chain.chainId] The id of the chain
+ * @param {Object} [opts.chain.dao] The `refundContract` and the `drainList` of the DAO fork
+ * @param {Boolean} [opts.chain.blockRewards] Set to `false` to run without block rewards (default: `true`)
+ * @param {Number|String|Buffer|BN} [opts.chainId] The id of the chain as a `Number`, hex `String`, `Buffer` or `BN`, overrides `opts.chain.chainId` (default: `1`)
  */
 function VM (opts = {}) {
+  this.hardfork = opts.hardfork || hardforks.DEFAULT
+  if (!hardforks.isSupported(this.hardfork)) {
+    throw new Error('unsupported hardfork: ' + this.hardfork)
+  }
+
+  if (opts.chain && opts.chain.hardforks) {
+    Object.keys(opts.chain.hardforks).forEach(function (hardfork) {
+      if (!hardforks.isSupported(hardfork)) {
+        throw new Error('unsupported hardfork in chain config: ' + hardfork)
+      }
+    })
+  }
+
+  // the chain id is compared as a `Number` with the ones of txs, it can be `0`
+  var chainId = opts.chainId !== undefined ? opts.chainId : opts.chain && opts.chain.chainId
+  this.chainId = chainId !== undefined ? ethUtil.bufferToInt(ethUtil.toBuffer(chainId)) : 1
+
   this.stateManager = new StateManager({
     trie: opts.state,
     blockchain: opts.blockchain
@@ -46,10 +94,17 @@ function VM (opts = {}) {
   this._precompiled['0000000000000000000000000000000000000002'] = num02
   this._precompiled['0000000000000000000000000000000000000003'] = num03
   this._precompiled['0000000000000000000000000000000000000004'] = num04
+  this._precompiled['0000000000000000000000000000000000000005'] = num05
+  this._precompiled['0000000000000000000000000000000000000006'] = num06
+  this._precompiled['0000000000000000000000000000000000000007'] = num07
+  this._precompiled['0000000000000000000000000000000000000008'] = num08
+  this._precompiled['0000000000000000000000000000000000000009'] = num09
 
   if (this.opts.activatePrecompiles) {
-    for (var i = 1; i <= 4; i++) {
-      this.trie.put(Buffer.from(new BN(i).toArray('be', 20)), new Account().serialize())
+    for (var address in this._precompiled) {
+      if (this._getPrecompiled(Buffer.from(address, 'hex'), this.hardfork)) {
+        this.trie.put(Buffer.from(address, 'hex'), new Account().serialize())
+      }
     }
   }
 
@@ -68,10 +123,41 @@ VM.prototype.runBlockchain = require('./runBlockchain.js')
 VM.prototype.copy = function () {
   return new VM({
     state: this.trie.copy(),
-    blockchain: this.blockchain
+    blockchain: this.blockchain,
+    hardfork: this.hardfork,
+    chain: this.opts.chain,
+    chainId: this.chainId
   })
 }
 
+/**
+ * Returns the hardfork whose rules apply to a block. If the chain config
+ * has hardfork activation blocks they decide, otherwise `opts.hardfork` does
+ * @param {Block} [block]
+ * @return {String}
+ */
+VM.prototype._getHardfork = function (block) {
+  var chain = this.opts.chain
+  if (block && chain && chain.hardforks) {
+    return hardforks.atBlock(chain.hardforks, block.header.number)
+  }
+  return this.hardfork
+}
+
+/**
+ * Returns the precompiled contract at `address` if it is active in the given hardfork
+ * @param {Buffer} address
+ * @param {String} hardfork
+ * @return {Function|undefined}
+ */
+VM.prototype._getPrecompiled = function (address, hardfork) {
+  var addressHex = ethUtil.setLengthLeft(address, 20).toString('hex')
+  var activation = precompiledForks[addressHex]
+  if (activation && hardforks.gte(hardfork || this.hardfork, activation)) {
+    return this._precompiled[addressHex]
+  }
+}
+
 /**
  * Loads precompiled contracts into the state
  */
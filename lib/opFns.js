@@ -1,10 +1,11 @@
 const Buffer = require('safe-buffer').Buffer
 const async = require('async')
-const fees = require('ethereum-common')
 const utils = require('ethereumjs-util')
 const BN = utils.BN
 const constants = require('./constants.js')
 const logTable = require('./logTable.js')
+const hardforks = require('./hardforks.js')
+const generateAddress2 = require('./runCall.js').generateAddress2
 const ERROR = constants.ERROR
 const MAX_INT = 9007199254740991
 
@@ -124,7 +125,7 @@ module.exports = {
 
     if (!exponent.isZero()) {
       var bytes = 1 + logTable(exponent)
-      subGas(runState, new BN(bytes).muln(fees.expByteGas.v))
+      subGas(runState, new BN(bytes).muln(runState.fees.expByteGas.v))
       result = Buffer.from(base.redPow(exponent).toArray('be', 32))
     } else {
       result = Buffer.from([1])
@@ -221,13 +222,52 @@ module.exports = {
 
     return utils.intToBuffer(word[pos])
   },
+  SHL: function (shift, value, runState) {
+    shift = new BN(shift)
+    if (shift.gten(256)) {
+      return Buffer.from([0])
+    }
+
+    return Buffer.from(
+      new BN(value)
+        .ishln(shift.toNumber())
+        .maskn(256)
+        .toArray('be', 32))
+  },
+  SHR: function (shift, value, runState) {
+    shift = new BN(shift)
+    if (shift.gten(256)) {
+      return Buffer.from([0])
+    }
+
+    return Buffer.from(
+      new BN(value)
+        .ishrn(shift.toNumber())
+        .toArray('be', 32))
+  },
+  SAR: function (shift, value, runState) {
+    shift = new BN(shift)
+    value = utils.fromSigned(value)
+    if (shift.gten(256)) {
+      // everything is shifted out, leaving only the sign
+      return value.isNeg() ? utils.toUnsigned(new BN(-1)) : Buffer.from([0])
+    }
+
+    // floor division by 2 ** shift, rounding towards negative infinity
+    var divisor = new BN(1).ishln(shift.toNumber())
+    var result = value.div(divisor)
+    if (value.isNeg() && !value.mod(divisor).isZero()) {
+      result.isubn(1)
+    }
+    return utils.toUnsigned(result)
+  },
   // 0x20 range - crypto
   SHA3: function (offset, length, runState) {
     offset = utils.bufferToInt(offset)
     length = utils.bufferToInt(length)
     var data = memLoad(runState, offset, length)
     // copy fee
-    subGas(runState, new BN(fees.sha3WordGas.v).imuln(Math.ceil(length / 32)))
+    subGas(runState, new BN(runState.fees.sha3WordGas.v).imuln(Math.ceil(length / 32)))
     return utils.sha3(data)
   },
   // 0x30 range - closure state
@@ -238,6 +278,7 @@ module.exports = {
     var stateManager = runState.stateManager
     // stack to address
     address = utils.setLengthLeft(address, 20)
+    accessAddressEIP2929(runState, address, true)
 
     // shortcut if current account
     if (address.toString('hex') === runState.address.toString('hex')) {
@@ -285,7 +326,7 @@ module.exports = {
 
     memStore(runState, memOffset, runState.callData, dataOffset, dataLength)
     // sub the COPY fee
-    subGas(runState, new BN(Number(fees.copyGas.v) * Math.ceil(dataLength / 32)))
+    subGas(runState, new BN(Number(runState.fees.copyGas.v) * Math.ceil(dataLength / 32)))
   },
   CODESIZE: function (runState) {
     return utils.intToBuffer(runState.code.length)
@@ -297,11 +338,12 @@ module.exports = {
 
     memStore(runState, memOffset, runState.code, codeOffset, length)
     // sub the COPY fee
-    subGas(runState, new BN(fees.copyGas.v * Math.ceil(length / 32)))
+    subGas(runState, new BN(runState.fees.copyGas.v * Math.ceil(length / 32)))
   },
   EXTCODESIZE: function (address, runState, cb) {
     var stateManager = runState.stateManager
     address = utils.setLengthLeft(address, 20)
+    accessAddressEIP2929(runState, address, true)
     stateManager.getContractCode(address, function (err, code) {
       cb(err, utils.intToBuffer(code.length))
     })
@@ -309,13 +351,14 @@ module.exports = {
   EXTCODECOPY: function (address, memOffset, codeOffset, length, runState, cb) {
     var stateManager = runState.stateManager
     address = utils.setLengthLeft(address, 20)
+    accessAddressEIP2929(runState, address, true)
     memOffset = utils.bufferToInt(memOffset)
     codeOffset = utils.bufferToInt(codeOffset)
     length = utils.bufferToInt(length)
     subMemUsage(runState, memOffset, length)
 
     // copy fee
-    subGas(runState, new BN(fees.copyGas.v).imuln(Math.ceil(length / 32)))
+    subGas(runState, new BN(runState.fees.copyGas.v).imuln(Math.ceil(length / 32)))
 
     stateManager.getContractCode(address, function (err, code) {
       code = err ? Buffer.from([0]) : code
@@ -323,6 +366,35 @@ module.exports = {
       cb(err)
     })
   },
+  EXTCODEHASH: function (address, runState, cb) {
+    var stateManager = runState.stateManager
+    address = utils.setLengthLeft(address, 20)
+    accessAddressEIP2929(runState, address, true)
+    stateManager.getAccount(address, function (err, account) {
+      if (err) return cb(err)
+      // non-existent and empty accounts have a hash of zero
+      var empty = new BN(account.nonce).isZero() && new BN(account.balance).isZero() &&
+        account.codeHash.toString('hex') === utils.SHA3_NULL_S
+      cb(null, empty ? Buffer.from([0]) : account.codeHash)
+    })
+  },
+  RETURNDATASIZE: function (runState) {
+    return utils.intToBuffer(runState.lastReturnData.length)
+  },
+  RETURNDATACOPY: function (memOffset, returnDataOffset, length, runState) {
+    // reading past the end of the return data is an exception
+    if (new BN(returnDataOffset).add(new BN(length)).gtn(runState.lastReturnData.length)) {
+      trap(ERROR.OUT_OF_RANGE)
+    }
+
+    memOffset = utils.bufferToInt(memOffset)
+    returnDataOffset = utils.bufferToInt(returnDataOffset)
+    length = utils.bufferToInt(length)
+
+    memStore(runState, memOffset, runState.lastReturnData, returnDataOffset, length)
+    // sub the COPY fee
+    subGas(runState, new BN(runState.fees.copyGas.v).imuln(Math.ceil(length / 32)))
+  },
   GASPRICE: function (runState) {
     return utils.setLengthLeft(runState.gasPrice, 32)
   },
@@ -358,9 +430,22 @@ module.exports = {
   DIFFICULTY: function (runState) {
     return utils.setLengthLeft(runState.block.header.difficulty, 32)
   },
+  PREVRANDAO: function (runState) {
+    // after the merge the mix hash field holds the randomness of the beacon chain
+    return utils.setLengthLeft(runState.block.header.mixHash, 32)
+  },
+  CHAINID: function (runState) {
+    return new BN(runState._vm.chainId).toArrayLike(Buffer, 'be', 32)
+  },
+  SELFBALANCE: function (runState) {
+    return utils.setLengthLeft(runState.contract.balance, 32)
+  },
   GASLIMIT: function (runState) {
     return utils.setLengthLeft(runState.block.header.gasLimit, 32)
   },
+  BASEFEE: function (runState) {
+    return utils.setLengthLeft(runState.block.header.baseFeePerGas || Buffer.alloc(0), 32)
+  },
   // 0x50 range - 'storage' and execution
   POP: function () {},
   MLOAD: function (pos, runState) {
@@ -382,6 +467,7 @@ module.exports = {
   SLOAD: function (key, runState, cb) {
     var stateManager = runState.stateManager
     key = utils.setLengthLeft(key, 32)
+    accessStorageEIP2929(runState, key, true)
 
     stateManager.getContractStorage(runState.address, key, function (err, value) {
       if (err) return cb(err)
@@ -390,36 +476,96 @@ module.exports = {
     })
   },
   SSTORE: function (key, val, runState, cb) {
+    if (runState.isStatic) {
+      trap(ERROR.STATIC_STATE_CHANGE)
+    }
+
     var stateManager = runState.stateManager
     var address = runState.address
     key = utils.setLengthLeft(key, 32)
     var value = utils.unpad(val)
 
+    if (hardforks.gte(runState.hardfork, 'istanbul')) {
+      // EIP-2200: SSTORE fails unless more than the call stipend is left
+      if (runState.gasLeft.lten(runState.fees.sstoreSentryGasEIP2200.v)) {
+        trap(ERROR.OUT_OF_GAS)
+      }
+      // EIP-2929: a cold slot costs extra on top of the EIP-2200 cost
+      accessStorageEIP2929(runState, key, false)
+
+      async.series([
+        stateManager.getOriginalContractStorage.bind(stateManager, address, key),
+        stateManager.getContractStorage.bind(stateManager, address, key)
+      ], function (err, values) {
+        if (err) return cb(err)
+        try {
+          updateSstoreGasEIP2200(runState, values[0], values[1], value)
+        } catch (e) {
+          cb(e.error)
+          return
+        }
+        store()
+      })
+      return
+    }
+
     stateManager.getContractStorage(runState.address, key, function (err, found) {
       if (err) return cb(err)
       try {
         if (value.length === 0 && !found.length) {
-          subGas(runState, new BN(fees.sstoreResetGas.v))
+          subGas(runState, new BN(runState.fees.sstoreResetGas.v))
         } else if (value.length === 0 && found.length) {
-          subGas(runState, new BN(fees.sstoreResetGas.v))
-          runState.gasRefund.iadd(new BN(fees.sstoreRefundGas.v))
+          subGas(runState, new BN(runState.fees.sstoreResetGas.v))
+          runState.gasRefund.iadd(new BN(runState.fees.sstoreRefundGas.v))
         } else if (value.length !== 0 && !found.length) {
-          subGas(runState, new BN(fees.sstoreSetGas.v))
+          subGas(runState, new BN(runState.fees.sstoreSetGas.v))
         } else if (value.length !== 0 && found.length) {
-          subGas(runState, new BN(fees.sstoreResetGas.v))
+          subGas(runState, new BN(runState.fees.sstoreResetGas.v))
         }
       } catch (e) {
         cb(e.error)
         return
       }
+      store()
+    })
 
+    function store () {
       stateManager.putContractStorage(address, key, value, function (err) {
         if (err) return cb(err)
         runState.contract = stateManager.cache.get(address)
         cb()
       })
+    }
+  },
+  TLOAD: function (key, runState, cb) {
+    key = utils.setLengthLeft(key, 32)
+    runState.stateManager.getContractTransientStorage(runState.address, key, function (err, value) {
+      if (err) return cb(err)
+      cb(null, value.length ? value : Buffer.from([0]))
     })
   },
+  TSTORE: function (key, val, runState, cb) {
+    if (runState.isStatic) {
+      trap(ERROR.STATIC_STATE_CHANGE)
+    }
+
+    key = utils.setLengthLeft(key, 32)
+    runState.stateManager.putContractTransientStorage(runState.address, key, utils.unpad(val), cb)
+  },
+  MCOPY: function (dst, src, length, runState) {
+    dst = utils.bufferToInt(dst)
+    src = utils.bufferToInt(src)
+    length = utils.bufferToInt(length)
+
+    // memory is expanded to cover both the source and the destination
+    subMemUsage(runState, src, length)
+    subMemUsage(runState, dst, length)
+    // sub the COPY fee
+    subGas(runState, new BN(runState.fees.copyGas.v).imuln(Math.ceil(length / 32)))
+
+    // memLoad copies the data, so overlapping ranges are handled
+    memStore(runState, dst, memLoad(runState, src, length), 0, length, false)
+  },
   JUMP: function (dest, runState) {
     dest = new BN(dest)
 
@@ -495,6 +641,10 @@ module.exports = {
     var args = Array.prototype.slice.call(arguments, 0)
     args.pop() // pop off callback
     var runState = args.pop()
+    if (runState.isStatic) {
+      trap(ERROR.STATIC_STATE_CHANGE)
+    }
+
     var topics = args.slice(2)
     topics = topics.map(function (a) {
       return utils.setLengthLeft(a, 32)
@@ -504,7 +654,7 @@ module.exports = {
     memLength = utils.bufferToInt(memLength)
     const numOfTopics = runState.opCode - 0xa0
     const mem = memLoad(runState, memOffset, memLength)
-    subGas(runState, new BN(numOfTopics * fees.logTopicGas.v + memLength * fees.logDataGas.v))
+    subGas(runState, new BN(numOfTopics * runState.fees.logTopicGas.v + memLength * runState.fees.logDataGas.v))
 
     // add address
     var log = [runState.address]
@@ -517,6 +667,10 @@ module.exports = {
 
   // '0xf0' range - closures
   CREATE: function (value, offset, length, runState, done) {
+    if (runState.isStatic) {
+      trap(ERROR.STATIC_STATE_CHANGE)
+    }
+
     value = new BN(value)
     offset = utils.bufferToInt(offset)
     length = utils.bufferToInt(length)
@@ -531,6 +685,33 @@ module.exports = {
       outLength: 0
     }
 
+    subInitCodeGas(runState, length)
+    checkCallMemCost(runState, options, localOpts)
+    checkOutOfGas(runState, options)
+    makeCall(runState, options, localOpts, done)
+  },
+  CREATE2: function (value, offset, length, salt, runState, done) {
+    if (runState.isStatic) {
+      trap(ERROR.STATIC_STATE_CHANGE)
+    }
+
+    value = new BN(value)
+    offset = utils.bufferToInt(offset)
+    length = utils.bufferToInt(length)
+    var options = {
+      value: value,
+      salt: salt
+    }
+    var localOpts = {
+      inOffset: offset,
+      inLength: length,
+      outOffset: 0,
+      outLength: 0
+    }
+
+    // the init code is hashed to derive the address
+    subGas(runState, new BN(runState.fees.sha3WordGas.v).imuln(Math.ceil(length / 32)))
+    subInitCodeGas(runState, length)
     checkCallMemCost(runState, options, localOpts)
     checkOutOfGas(runState, options)
     makeCall(runState, options, localOpts, done)
@@ -539,6 +720,7 @@ module.exports = {
     var stateManager = runState.stateManager
     gasLimit = new BN(gasLimit)
     toAddress = utils.setLengthLeft(toAddress, 20)
+    accessAddressEIP2929(runState, toAddress, true)
     value = new BN(value)
     inOffset = utils.bufferToInt(inOffset)
     inLength = utils.bufferToInt(inLength)
@@ -558,8 +740,13 @@ module.exports = {
       outLength: outLength
     }
 
+    // transfering value is a state change
+    if (runState.isStatic && !value.isZero()) {
+      trap(ERROR.STATIC_STATE_CHANGE)
+    }
+
     if (!value.isZero()) {
-      subGas(runState, new BN(fees.callValueTransferGas.v))
+      subGas(runState, new BN(runState.fees.callValueTransferGas.v))
     }
 
     stateManager.exists(toAddress, function (err, exists) {
@@ -571,39 +758,40 @@ module.exports = {
       stateManager.accountIsEmpty(toAddress, function (err, empty) {
         if (err) {
           done(err)
+          return
         }
 
-        if (!exists || empty) {
-          if (!value.isZero()) {
-            try {
-              subGas(runState, new BN(fees.callNewAccountGas.v))
-            } catch (e) {
-              done(e.error)
+        try {
+          if (hardforks.gte(runState.hardfork, 'spuriousDragon')) {
+            // EIP-161: only value transfers bring empty accounts into existence
+            if ((!exists || empty) && !value.isZero()) {
+              subGas(runState, new BN(runState.fees.callNewAccountGas.v))
             }
+          } else if (!exists) {
+            subGas(runState, new BN(runState.fees.callNewAccountGas.v))
           }
-        }
-      })
 
-      try {
-        checkCallMemCost(runState, options, localOpts)
-        checkOutOfGas(runState, options)
-      } catch (e) {
-        done(e.error)
-        return
-      }
+          checkCallMemCost(runState, options, localOpts)
+          checkOutOfGas(runState, options)
+        } catch (e) {
+          done(e.error)
+          return
+        }
 
-      if (!value.isZero()) {
-        runState.gasLeft.iadd(new BN(fees.callStipend.v))
-        options.gasLimit.iadd(new BN(fees.callStipend.v))
-      }
+        if (!value.isZero()) {
+          runState.gasLeft.iadd(new BN(runState.fees.callStipend.v))
+          options.gasLimit.iadd(new BN(runState.fees.callStipend.v))
+        }
 
-      makeCall(runState, options, localOpts, done)
+        makeCall(runState, options, localOpts, done)
+      })
     })
   },
   CALLCODE: function (gas, toAddress, value, inOffset, inLength, outOffset, outLength, runState, done) {
     var stateManager = runState.stateManager
     gas = new BN(gas)
     toAddress = utils.setLengthLeft(toAddress, 20)
+    accessAddressEIP2929(runState, toAddress, true)
     value = new BN(value)
     inOffset = utils.bufferToInt(inOffset)
     inLength = utils.bufferToInt(inLength)
@@ -613,7 +801,8 @@ module.exports = {
     const options = {
       gasLimit: gas,
       value: value,
-      to: runState.address
+      to: runState.address,
+      codeAddress: toAddress
     }
 
     const localOpts = {
@@ -624,20 +813,21 @@ module.exports = {
     }
 
     if (!value.isZero()) {
-      subGas(runState, new BN(fees.callValueTransferGas.v))
+      subGas(runState, new BN(runState.fees.callValueTransferGas.v))
     }
 
     checkCallMemCost(runState, options, localOpts)
     checkOutOfGas(runState, options)
 
     if (!value.isZero()) {
-      runState.gasLeft.iadd(new BN(fees.callStipend.v))
-      options.gasLimit.iadd(new BN(fees.callStipend.v))
+      runState.gasLeft.iadd(new BN(runState.fees.callStipend.v))
+      options.gasLimit.iadd(new BN(runState.fees.callStipend.v))
     }
 
-    if (utils.isPrecompiled(toAddress)) {
+    var precompiled = runState._vm._getPrecompiled(toAddress, runState.hardfork)
+    if (precompiled) {
       options.compiled = true
-      options.code = runState._precompiled[toAddress.toString('hex')]
+      options.code = precompiled
       makeCall(runState, options, localOpts, done)
     } else {
       stateManager.getContractCode(toAddress, function (err, code, compiled) {
@@ -653,6 +843,7 @@ module.exports = {
     var value = runState.callValue
     gas = new BN(gas)
     toAddress = utils.setLengthLeft(toAddress, 20)
+    accessAddressEIP2929(runState, toAddress, true)
     inOffset = utils.bufferToInt(inOffset)
     inLength = utils.bufferToInt(inLength)
     outOffset = utils.bufferToInt(outOffset)
@@ -662,6 +853,7 @@ module.exports = {
       gasLimit: gas,
       value: value,
       to: runState.address,
+      codeAddress: toAddress,
       caller: runState.caller,
       delegatecall: true
     }
@@ -679,9 +871,10 @@ module.exports = {
     // load the code
     stateManager.getAccount(toAddress, function (err, account) {
       if (err) return done(err)
-      if (utils.isPrecompiled(toAddress)) {
+      var precompiled = runState._vm._getPrecompiled(toAddress, runState.hardfork)
+      if (precompiled) {
         options.compiled = true
-        options.code = runState._precompiled[toAddress.toString('hex')]
+        options.code = precompiled
         makeCall(runState, options, localOpts, done)
       } else {
         stateManager.getContractCode(toAddress, function (err, code, compiled) {
@@ -693,18 +886,57 @@ module.exports = {
       }
     })
   },
+  STATICCALL: function (gasLimit, toAddress, inOffset, inLength, outOffset, outLength, runState, done) {
+    gasLimit = new BN(gasLimit)
+    toAddress = utils.setLengthLeft(toAddress, 20)
+    accessAddressEIP2929(runState, toAddress, true)
+    inOffset = utils.bufferToInt(inOffset)
+    inLength = utils.bufferToInt(inLength)
+    outOffset = utils.bufferToInt(outOffset)
+    outLength = utils.bufferToInt(outLength)
+
+    const options = {
+      gasLimit: gasLimit,
+      value: new BN(0),
+      to: toAddress,
+      static: true
+    }
+
+    const localOpts = {
+      inOffset: inOffset,
+      inLength: inLength,
+      outOffset: outOffset,
+      outLength: outLength
+    }
+
+    checkCallMemCost(runState, options, localOpts)
+    checkOutOfGas(runState, options)
+    makeCall(runState, options, localOpts, done)
+  },
   RETURN: function (offset, length, runState) {
     offset = utils.bufferToInt(offset)
     length = utils.bufferToInt(length)
     runState.returnValue = memLoad(runState, offset, length)
   },
+  REVERT: function (offset, length, runState) {
+    offset = utils.bufferToInt(offset)
+    length = utils.bufferToInt(length)
+    runState.returnValue = memLoad(runState, offset, length)
+    trap(ERROR.REVERT)
+  },
   // '0x70', range - other
   SELFDESTRUCT: function (selfdestructToAddress, runState, cb) {
+    if (runState.isStatic) {
+      trap(ERROR.STATIC_STATE_CHANGE)
+    }
+
     var stateManager = runState.stateManager
     var contract = runState.contract
     var contractAddress = runState.address
     var zeroBalance = new BN(0)
     selfdestructToAddress = utils.setLengthLeft(selfdestructToAddress, 20)
+    // EIP-2929: only a cold beneficiary costs extra
+    accessAddressEIP2929(runState, selfdestructToAddress, false)
 
     stateManager.getAccount(selfdestructToAddress, function (err, toAccount) {
       // update balances
@@ -719,23 +951,39 @@ module.exports = {
           return
         }
 
-        if ((new BN(contract.balance)).gt(zeroBalance)) {
-          if (!toAccount.exists || empty) {
-            try {
-              subGas(runState, new BN(fees.callNewAccountGas.v))
-            } catch (e) {
-              cb(e.error)
-              return
-            }
-          }
+        var newAccount
+        if (hardforks.gte(runState.hardfork, 'spuriousDragon')) {
+          newAccount = (new BN(contract.balance)).gt(zeroBalance) && (!toAccount.exists || empty)
+        } else {
+          // EIP-150 introduced the new account charge
+          newAccount = hardforks.gte(runState.hardfork, 'tangerineWhistle') && !toAccount.exists
         }
 
-        // only add to refund if this is the first selfdestruct for the address
-        if (!runState.selfdestruct[contractAddress.toString('hex')]) {
-          runState.gasRefund = runState.gasRefund.add(new BN(fees.suicideRefundGas.v))
+        if (newAccount) {
+          try {
+            subGas(runState, new BN(runState.fees.callNewAccountGas.v))
+          } catch (e) {
+            cb(e.error)
+            return
+          }
         }
-        runState.selfdestruct[contractAddress.toString('hex')] = selfdestructToAddress
+
+        // EIP-6780: only contracts created in the same tx are deleted, others
+        // just send their balance
+        var deleted = !hardforks.gte(runState.hardfork, 'cancun') || stateManager.isCreatedContract(contractAddress)
         runState.stopped = true
+        if (!deleted && selfdestructToAddress.equals(contractAddress)) {
+          cb()
+          return
+        }
+
+        if (deleted) {
+          // only add to refund if this is the first selfdestruct for the address
+          if (!runState.selfdestruct[contractAddress.toString('hex')]) {
+            runState.gasRefund = runState.gasRefund.add(new BN(runState.fees.suicideRefundGas.v))
+          }
+          runState.selfdestruct[contractAddress.toString('hex')] = selfdestructToAddress
+        }
 
         var newBalance = Buffer.from(new BN(contract.balance).add(new BN(toAccount.balance)).toArray())
         async.series([
@@ -750,7 +998,89 @@ module.exports = {
   }
 }
 
-module.exports._DC = module.exports.DELEGATECALL
+// EIP-2929: charges for accessing an address, the first access in a tx is
+// cold and makes it warm. `chargeWarm` is false for opcodes which pay for
+// warm accesses in their base fee
+function accessAddressEIP2929 (runState, address, chargeWarm) {
+  if (!hardforks.gte(runState.hardfork, 'berlin')) return
+
+  var stateManager = runState.stateManager
+  if (!stateManager.isWarmedAddress(address)) {
+    stateManager.addWarmedAddress(address)
+    subGas(runState, new BN(runState.fees.coldAccountAccessCost.v))
+  } else if (chargeWarm) {
+    subGas(runState, new BN(runState.fees.warmStorageReadCost.v))
+  }
+}
+
+// EIP-2929: charges for accessing a storage slot of the running contract
+function accessStorageEIP2929 (runState, key, chargeWarm) {
+  if (!hardforks.gte(runState.hardfork, 'berlin')) return
+
+  var stateManager = runState.stateManager
+  if (!stateManager.isWarmedStorage(runState.address, key)) {
+    stateManager.addWarmedStorage(runState.address, key)
+    subGas(runState, new BN(runState.fees.coldSloadCost.v))
+  } else if (chargeWarm) {
+    subGas(runState, new BN(runState.fees.warmStorageReadCost.v))
+  }
+}
+
+// EIP-3860: charges for the init code of CREATE and CREATE2, too large init
+// code is an exception
+function subInitCodeGas (runState, length) {
+  if (!hardforks.gte(runState.hardfork, 'shanghai')) return
+
+  if (length > runState.fees.maxInitCodeSize.v) {
+    trap(ERROR.OUT_OF_GAS)
+  }
+  subGas(runState, new BN(runState.fees.initCodeWordGas.v).imuln(Math.ceil(length / 32)))
+}
+
+// EIP-2200: charges gas and adjusts the refund by comparing the new value
+// with the values at the start of the tx and right now
+function updateSstoreGasEIP2200 (runState, original, current, value) {
+  var fees = runState.fees
+  original = original.toString('hex')
+  current = current.toString('hex')
+  value = value.toString('hex')
+
+  if (current === value) {
+    subGas(runState, new BN(fees.sstoreNoopGasEIP2200.v))
+    return
+  }
+
+  if (original === current) {
+    // the slot has not been changed by this tx yet
+    if (original === '') {
+      subGas(runState, new BN(fees.sstoreSetGas.v))
+      return
+    }
+    subGas(runState, new BN(fees.sstoreResetGas.v))
+    if (value === '') {
+      runState.gasRefund.iaddn(fees.sstoreRefundGas.v)
+    }
+    return
+  }
+
+  subGas(runState, new BN(fees.sstoreDirtyGasEIP2200.v))
+  if (original !== '') {
+    if (current === '') {
+      // the slot was cleared earlier in this tx
+      runState.gasRefund.isubn(fees.sstoreRefundGas.v)
+    } else if (value === '') {
+      runState.gasRefund.iaddn(fees.sstoreRefundGas.v)
+    }
+  }
+  if (original === value) {
+    // the slot is reset to its original value
+    if (original === '') {
+      runState.gasRefund.iaddn(fees.sstoreInitRefundEIP2200.v)
+    } else {
+      runState.gasRefund.iaddn(fees.sstoreCleanRefundEIP2200.v)
+    }
+  }
+}
 
 function describeLocation (runState) {
   var hash = utils.sha3(runState.code).toString('hex')
@@ -797,8 +1127,8 @@ function subMemUsage (runState, offset, length) {
   runState.memoryWordCount = newMemoryWordCount
 
   const words = new BN(newMemoryWordCount)
-  const fee = new BN(fees.memoryGas.v)
-  const quadCoeff = new BN(fees.quadCoeffDiv.v)
+  const fee = new BN(runState.fees.memoryGas.v)
+  const quadCoeff = new BN(runState.fees.quadCoeffDiv.v)
   // words * 3 + words ^2 / 512
   const cost = words.mul(fee).add(words.mul(words).div(quadCoeff))
 
@@ -871,6 +1201,14 @@ function checkCallMemCost (runState, callOptions, localOpts) {
 }
 
 function checkOutOfGas (runState, callOptions) {
+  // before EIP-150 asking for more gas than is left is an exception
+  if (!hardforks.gte(runState.hardfork, 'tangerineWhistle')) {
+    if (callOptions.gasLimit.gt(runState.gasLeft)) {
+      trap(ERROR.OUT_OF_GAS)
+    }
+    return
+  }
+
   const gasAllowed = runState.gasLeft.sub(runState.gasLeft.div(new BN(64)))
   if (callOptions.gasLimit.gt(gasAllowed)) {
     callOptions.gasLimit = gasAllowed
@@ -885,15 +1223,32 @@ function makeCall (runState, callOptions, localOpts, cb) {
   callOptions.block = runState.block
   callOptions.populateCache = false
   callOptions.selfdestruct = runState.selfdestruct
+  callOptions.hardfork = runState.hardfork
+  // the opcode making the call, e.g. `DELEGATECALL`
+  callOptions.type = runState.opName
+  // nested calls of a static call are static as well
+  callOptions.static = callOptions.static || runState.isStatic
 
   // increment the runState.depth
   callOptions.depth = runState.depth + 1
 
+  // the return data of the previous call is gone once a new one starts
+  runState.lastReturnData = Buffer.alloc(0)
+
   // check if account has enough ether
   // Note: in the case of delegatecall, the value is persisted and doesn't need to be deducted again
-  if (runState.depth >= fees.stackLimit.v || (callOptions.delegatecall !== true && new BN(runState.contract.balance).cmp(callOptions.value) === -1)) {
+  var error
+  if (runState.depth >= runState.fees.stackLimit.v) {
+    error = ERROR.MAX_CALL_DEPTH
+  } else if (callOptions.delegatecall !== true && new BN(runState.contract.balance).cmp(callOptions.value) === -1) {
+    error = ERROR.INSUFFICIENT_BALANCE
+  }
+
+  if (error) {
     runState.stack.push(Buffer.from([0]))
-    cb()
+    rejectCall(runState, callOptions, error, function (err) {
+      cb(err)
+    })
   } else {
     // if creating a new contract then increament the nonce
     if (!callOptions.to) {
@@ -918,12 +1273,18 @@ function makeCall (runState, callOptions, localOpts, cb) {
     // this should always be safe
     runState.gasLeft.isub(results.gasUsed)
 
-    if (!results.vm.exceptionError) {
+    // a reverted call returns data as well
+    if (results.vm.return && (!results.vm.exceptionError || results.vm.exceptionError === ERROR.REVERT)) {
       // save results to memory
-      if (results.vm.return) {
-        memStore(runState, localOpts.outOffset, results.vm.return, 0, localOpts.outLength, false)
+      memStore(runState, localOpts.outOffset, results.vm.return, 0, localOpts.outLength, false)
+
+      // EIP-211: the code deployed by a successful create is not return data
+      if (callOptions.to || results.vm.exceptionError) {
+        runState.lastReturnData = results.vm.return
       }
+    }
 
+    if (!results.vm.exceptionError) {
       // update stateRoot on current contract
       runState.stateManager.getAccount(runState.address, function (err, account) {
         runState.contract = account
@@ -944,3 +1305,46 @@ function makeCall (runState, callOptions, localOpts, cb) {
     }
   }
 }
+
+// emits the `beforeCall` and `afterCall` events of a call which fails before
+// it runs, so that it is reported like the calls run by `runCall`
+function rejectCall (runState, callOptions, error, cb) {
+  var vm = runState._vm
+  var createdAddress
+  if (!callOptions.to) {
+    createdAddress = callOptions.salt
+      ? generateAddress2(runState.address, callOptions.salt, callOptions.data)
+      : utils.generateAddress(runState.address, new BN(runState.contract.nonce).toArray())
+  }
+  var toAddress = callOptions.to || createdAddress
+
+  vm.emit('beforeCall', {
+    type: callOptions.type,
+    caller: callOptions.caller,
+    to: toAddress,
+    codeAddress: callOptions.codeAddress || toAddress,
+    createdAddress: createdAddress,
+    value: new BN(callOptions.value || 0),
+    data: callOptions.data,
+    gasLimit: new BN(callOptions.gasLimit),
+    depth: callOptions.depth,
+    block: callOptions.block,
+    static: callOptions.static,
+    delegatecall: callOptions.delegatecall || false
+  }, function (err) {
+    if (err) {
+      cb(err)
+      return
+    }
+
+    vm.emit('afterCall', {
+      gasUsed: new BN(0),
+      createdAddress: createdAddress,
+      vm: {
+        exception: 0,
+        exceptionError: error,
+        return: Buffer.alloc(0)
+      }
+    }, cb)
+  })
+}
@@ -1,3 +1,5 @@
+const hardforks = require('./hardforks.js')
+
 const codes = {
   // 0x0 range - arithmetic ops
   // name, baseCost, off stack, on stack, dynamic
@@ -32,7 +34,7 @@ const codes = {
 
   // 0x30 range - closure state
   0x30: ['ADDRESS', 2, 0, 1, true],
-  0x31: ['BALANCE', 400, 1, 1, true],
+  0x31: ['BALANCE', 20, 1, 1, true],
   0x32: ['ORIGIN', 2, 0, 1, true],
   0x33: ['CALLER', 2, 0, 1, true],
   0x34: ['CALLVALUE', 2, 0, 1, true],
@@ -42,8 +44,8 @@ const codes = {
   0x38: ['CODESIZE', 2, 0, 1, false],
   0x39: ['CODECOPY', 3, 3, 0, false],
   0x3a: ['GASPRICE', 2, 0, 1, false],
-  0x3b: ['EXTCODESIZE', 700, 1, 1, true],
-  0x3c: ['EXTCODECOPY', 700, 4, 0, true],
+  0x3b: ['EXTCODESIZE', 20, 1, 1, true],
+  0x3c: ['EXTCODECOPY', 20, 4, 0, true],
 
   // '0x40' range - block operations
   0x40: ['BLOCKHASH', 20, 1, 1, true],
@@ -58,7 +60,7 @@ const codes = {
   0x51: ['MLOAD', 3, 1, 1, false],
   0x52: ['MSTORE', 3, 2, 0, false],
   0x53: ['MSTORE8', 3, 2, 0, false],
-  0x54: ['SLOAD', 200, 1, 1, true],
+  0x54: ['SLOAD', 50, 1, 1, true],
   0x55: ['SSTORE', 0, 2, 0, true],
   0x56: ['JUMP', 8, 1, 0, false],
   0x57: ['JUMPI', 10, 2, 0, false],
@@ -143,17 +145,115 @@ const codes = {
 
   // '0xf0' range - closures
   0xf0: ['CREATE', 32000, 3, 1, true],
-  0xf1: ['CALL', 700, 7, 1, true],
-  0xf2: ['CALLCODE', 700, 7, 1, true],
+  0xf1: ['CALL', 40, 7, 1, true],
+  0xf2: ['CALLCODE', 40, 7, 1, true],
   0xf3: ['RETURN', 0, 2, 0, false],
-  0xf4: ['DELEGATECALL', 700, 6, 1, true],
 
   // '0x70', range - other
   0xfe: ['INVALID', 0, 0, 0, false],
-  0xff: ['SELFDESTRUCT', 5000, 1, 0, false]
+  0xff: ['SELFDESTRUCT', 0, 1, 0, false]
+}
+
+// opcodes which are added or repriced by later hardforks
+const forkCodes = {
+  homestead: {
+    // EIP-7
+    0xf4: ['DELEGATECALL', 40, 6, 1, true]
+  },
+  tangerineWhistle: {
+    // EIP-150
+    0x31: ['BALANCE', 400, 1, 1, true],
+    0x3b: ['EXTCODESIZE', 700, 1, 1, true],
+    0x3c: ['EXTCODECOPY', 700, 4, 0, true],
+    0x54: ['SLOAD', 200, 1, 1, true],
+    0xf1: ['CALL', 700, 7, 1, true],
+    0xf2: ['CALLCODE', 700, 7, 1, true],
+    0xf4: ['DELEGATECALL', 700, 6, 1, true],
+    0xff: ['SELFDESTRUCT', 5000, 1, 0, false]
+  },
+  byzantium: {
+    // EIP-211
+    0x3d: ['RETURNDATASIZE', 2, 0, 1, true],
+    0x3e: ['RETURNDATACOPY', 3, 3, 0, true],
+    // EIP-140
+    0xfd: ['REVERT', 0, 2, 0, false],
+    // EIP-214
+    0xfa: ['STATICCALL', 700, 6, 1, true]
+  },
+  constantinople: {
+    // EIP-145
+    0x1b: ['SHL', 3, 2, 1, false],
+    0x1c: ['SHR', 3, 2, 1, false],
+    0x1d: ['SAR', 3, 2, 1, false],
+    // EIP-1052
+    0x3f: ['EXTCODEHASH', 400, 1, 1, true],
+    // EIP-1014
+    0xf5: ['CREATE2', 32000, 4, 1, true]
+  },
+  istanbul: {
+    // EIP-1344
+    0x46: ['CHAINID', 2, 0, 1, false],
+    // EIP-1884
+    0x31: ['BALANCE', 700, 1, 1, true],
+    0x3f: ['EXTCODEHASH', 700, 1, 1, true],
+    0x47: ['SELFBALANCE', 5, 0, 1, false],
+    0x54: ['SLOAD', 800, 1, 1, true]
+  },
+  berlin: {
+    // EIP-2929, the access costs are charged by the opcodes
+    0x31: ['BALANCE', 0, 1, 1, true],
+    0x3b: ['EXTCODESIZE', 0, 1, 1, true],
+    0x3c: ['EXTCODECOPY', 0, 4, 0, true],
+    0x3f: ['EXTCODEHASH', 0, 1, 1, true],
+    0x54: ['SLOAD', 0, 1, 1, true],
+    0xf1: ['CALL', 0, 7, 1, true],
+    0xf2: ['CALLCODE', 0, 7, 1, true],
+    0xf4: ['DELEGATECALL', 0, 6, 1, true],
+    0xfa: ['STATICCALL', 0, 6, 1, true]
+  },
+  london: {
+    // EIP-3198
+    0x48: ['BASEFEE', 2, 0, 1, false]
+  },
+  merge: {
+    // EIP-4399
+    0x44: ['PREVRANDAO', 2, 0, 1, false]
+  },
+  shanghai: {
+    // EIP-3855
+    0x5f: ['PUSH', 2, 0, 1, false]
+  },
+  cancun: {
+    // EIP-5656
+    0x5e: ['MCOPY', 3, 3, 0, false],
+    // EIP-1153
+    0x5c: ['TLOAD', 100, 1, 1, true],
+    0x5d: ['TSTORE', 100, 2, 0, true]
+  }
+}
+
+const forkTables = {}
+
+// builds the opcode table for a hardfork by applying the changes of every
+// hardfork up to and including it
+function getCodes (hardfork) {
+  hardfork = hardfork || hardforks.DEFAULT
+  if (forkTables[hardfork]) {
+    return forkTables[hardfork]
+  }
+
+  var table = Object.assign({}, codes)
+  var last = hardforks.HARDFORKS.indexOf(hardfork)
+  for (var i = 0; i <= last; i++) {
+    Object.assign(table, forkCodes[hardforks.HARDFORKS[i]])
+  }
+
+  forkTables[hardfork] = table
+  return table
 }
 
-module.exports = function (op, full) {
+module.exports = function (op, full, hardfork) {
+  var codes = getCodes(hardfork)
   var code = codes[op] ? codes[op] : ['INVALID', 0, 0, 0, false]
   var opcode = code[0]
 
@@ -0,0 +1,101 @@
+const Buffer = require('safe-buffer').Buffer
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const error = require('../constants.js').ERROR
+const hardforks = require('../hardforks.js')
+
+// EIP-198, repriced in berlin (EIP-2565)
+module.exports = function (opts) {
+  var results = {}
+  var data = opts.data
+  var fees = hardforks.params(opts.hardfork)
+
+  var baseLen = new BN(getDataSlice(data, 0, 32))
+  var expLen = new BN(getDataSlice(data, 32, 32))
+  var modLen = new BN(getDataSlice(data, 64, 32))
+
+  // the first 32 bytes of the exponent are needed for the gas calculation
+  var expStart = new BN(96).add(baseLen)
+  var expHead = new BN(getDataSlice(data, expStart, BN.min(expLen, new BN(32))))
+  var maxLen = BN.max(baseLen, modLen)
+
+  var iterations = BN.max(adjustedExpLen(expLen, expHead), new BN(1))
+  if (hardforks.gte(opts.hardfork, 'berlin')) {
+    // EIP-2565: the complexity is the square of the number of 8 byte words
+    var words = maxLen.addn(7).divn(8)
+    results.gasUsed = BN.max(words.sqr().mul(iterations).divn(fees.modexpGquaddivisor.v), new BN(fees.modexpMinGas.v))
+  } else {
+    results.gasUsed = multComplexity(maxLen).mul(iterations).divn(fees.modexpGquaddivisor.v)
+  }
+
+  if (opts.gasLimit.cmp(results.gasUsed) === -1) {
+    results.gasUsed = opts.gasLimit
+    results.exceptionError = error.OUT_OF_GAS
+    results.exception = 0 // 0 means VM fail (in this case because of OOG)
+    return results
+  }
+
+  // with enough gas for it the lengths are small enough to be handled as numbers
+  baseLen = baseLen.toNumber()
+  modLen = modLen.toNumber()
+  // the result has the length of the modulus, none without one
+  if (modLen === 0) {
+    results.return = Buffer.alloc(0)
+    results.exception = 1
+    return results
+  }
+
+  var base = new BN(getDataSlice(data, 96, baseLen))
+  var exponent = new BN(getDataSlice(data, expStart, expLen))
+  var modulus = new BN(getDataSlice(data, expStart.add(expLen), modLen))
+
+  var result
+  if (modulus.cmpn(1) <= 0) {
+    result = new BN(0)
+  } else {
+    result = base.toRed(BN.red(modulus)).redPow(exponent).fromRed()
+  }
+
+  results.return = result.toArrayLike(Buffer, 'be', modLen)
+  results.exception = 1
+
+  return results
+}
+
+// reads `length` bytes from `offset`, padding missing input with zeros
+function getDataSlice (data, offset, length) {
+  offset = new BN(offset)
+  length = new BN(length)
+  if (length.isZero()) {
+    return Buffer.alloc(0)
+  }
+
+  if (offset.gten(data.length)) {
+    return Buffer.alloc(length.toNumber())
+  }
+
+  offset = offset.toNumber()
+  return utils.setLengthRight(data.slice(offset, offset + length.toNumber()), length.toNumber())
+}
+
+function multComplexity (x) {
+  var result
+  if (x.lten(64)) {
+    result = x.sqr()
+  } else if (x.lten(1024)) {
+    // x ** 2 // 4 + 96 * x - 3072
+    result = x.sqr().divn(4).add(x.muln(96)).subn(3072)
+  } else {
+    // x ** 2 // 16 + 480 * x - 199680
+    result = x.sqr().divn(16).add(x.muln(480)).subn(199680)
+  }
+  return result
+}
+
+function adjustedExpLen (expLen, expHead) {
+  var bitLen = expHead.isZero() ? new BN(0) : new BN(expHead.bitLength() - 1)
+  if (expLen.lten(32)) {
+    return bitLen
+  }
+  return expLen.subn(32).muln(8).add(bitLen)
+}
@@ -0,0 +1,37 @@
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const error = require('../constants.js').ERROR
+const hardforks = require('../hardforks.js')
+const bn128 = require('../bn128.js')
+
+// EIP-196
+module.exports = function (opts) {
+  var results = {}
+  var data = utils.setLengthRight(opts.data, 128)
+  var fees = hardforks.params(opts.hardfork)
+
+  results.gasUsed = new BN(fees.ecAddGas.v)
+
+  if (opts.gasLimit.cmp(results.gasUsed) === -1) {
+    results.gasUsed = opts.gasLimit
+    results.exceptionError = error.OUT_OF_GAS
+    results.exception = 0 // 0 means VM fail (in this case because of OOG)
+    return results
+  }
+
+  var sum
+  try {
+    sum = bn128.add(bn128.decodeG1(data.slice(0, 64)), bn128.decodeG1(data.slice(64, 128)))
+  } catch (e) {
+    // invalid points consume all gas
+    results.gasUsed = opts.gasLimit
+    results.exceptionError = error.INVALID_INPUT
+    results.exception = 0
+    return results
+  }
+
+  results.return = bn128.encodeG1(sum)
+  results.exception = 1
+
+  return results
+}
@@ -0,0 +1,37 @@
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const error = require('../constants.js').ERROR
+const hardforks = require('../hardforks.js')
+const bn128 = require('../bn128.js')
+
+// EIP-196
+module.exports = function (opts) {
+  var results = {}
+  var data = utils.setLengthRight(opts.data, 96)
+  var fees = hardforks.params(opts.hardfork)
+
+  results.gasUsed = new BN(fees.ecMulGas.v)
+
+  if (opts.gasLimit.cmp(results.gasUsed) === -1) {
+    results.gasUsed = opts.gasLimit
+    results.exceptionError = error.OUT_OF_GAS
+    results.exception = 0 // 0 means VM fail (in this case because of OOG)
+    return results
+  }
+
+  var product
+  try {
+    product = bn128.mul(bn128.decodeG1(data.slice(0, 64)), new BN(data.slice(64, 96)))
+  } catch (e) {
+    // invalid points consume all gas
+    results.gasUsed = opts.gasLimit
+    results.exceptionError = error.INVALID_INPUT
+    results.exception = 0
+    return results
+  }
+
+  results.return = bn128.encodeG1(product)
+  results.exception = 1
+
+  return results
+}
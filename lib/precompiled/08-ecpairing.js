@@ -0,0 +1,52 @@
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const error = require('../constants.js').ERROR
+const hardforks = require('../hardforks.js')
+const bn128 = require('../bn128.js')
+
+// every pair is a G1 point of 64 bytes followed by a G2 point of 128 bytes
+const PAIR_LENGTH = 192
+
+// EIP-197
+module.exports = function (opts) {
+  var results = {}
+  var data = opts.data
+  var fees = hardforks.params(opts.hardfork)
+  var pairCount = Math.floor(data.length / PAIR_LENGTH)
+
+  results.gasUsed = new BN(fees.ecPairingGas.v)
+  results.gasUsed.iadd(new BN(fees.ecPairingWordGas.v).imuln(pairCount))
+
+  if (opts.gasLimit.cmp(results.gasUsed) === -1) {
+    results.gasUsed = opts.gasLimit
+    results.exceptionError = error.OUT_OF_GAS
+    results.exception = 0 // 0 means VM fail (in this case because of OOG)
+    return results
+  }
+
+  var pairs = []
+  try {
+    if (data.length % PAIR_LENGTH !== 0) {
+      throw new Error('invalid input length')
+    }
+
+    for (var i = 0; i < pairCount; i++) {
+      var offset = i * PAIR_LENGTH
+      pairs.push([
+        bn128.decodeG1(data.slice(offset, offset + 64)),
+        bn128.decodeG2(data.slice(offset + 64, offset + PAIR_LENGTH))
+      ])
+    }
+  } catch (e) {
+    // invalid input consumes all gas
+    results.gasUsed = opts.gasLimit
+    results.exceptionError = error.INVALID_INPUT
+    results.exception = 0
+    return results
+  }
+
+  results.return = utils.setLengthLeft(bn128.pairingCheck(pairs) ? [1] : [0], 32)
+  results.exception = 1
+
+  return results
+}
@@ -0,0 +1,148 @@
+const Buffer = require('safe-buffer').Buffer
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const error = require('../constants.js').ERROR
+const hardforks = require('../hardforks.js')
+
+// rounds (4 bytes), state h (64 bytes), message m (128 bytes), offset
+// counters t (16 bytes) and the final block flag f (1 byte)
+const INPUT_LENGTH = 213
+
+// the BLAKE2b initialization vector, every 64 bit word as low and high 32 bits
+const IV = new Uint32Array([
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+  0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+  0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+  0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+])
+
+const SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+]
+
+// v[a] += v[b] + x on the 64 bit words at the 32 bit indexes a and b
+function add64 (v, a, b, xLow, xHigh) {
+  var low = v[a] + v[b] + xLow
+  var high = v[a + 1] + v[b + 1] + xHigh + Math.floor(low / 0x100000000)
+  v[a] = low
+  v[a + 1] = high
+}
+
+// v[a] = (v[a] ^ v[b]) >>> n on the 64 bit words at the 32 bit indexes a and b
+function xorRotate64 (v, a, b, n) {
+  var low = v[a] ^ v[b]
+  var high = v[a + 1] ^ v[b + 1]
+  if (n >= 32) {
+    var swap = low
+    low = high
+    high = swap
+    n -= 32
+  }
+  if (n > 0) {
+    var newLow = (low >>> n) | (high << (32 - n))
+    high = (high >>> n) | (low << (32 - n))
+    low = newLow
+  }
+  v[a] = low
+  v[a + 1] = high
+}
+
+// the mixing function G on the words a, b, c and d of v with the message words x and y
+function mix (v, m, a, b, c, d, x, y) {
+  add64(v, 2 * a, 2 * b, m[2 * x], m[2 * x + 1])
+  xorRotate64(v, 2 * d, 2 * a, 32)
+  add64(v, 2 * c, 2 * d, 0, 0)
+  xorRotate64(v, 2 * b, 2 * c, 24)
+  add64(v, 2 * a, 2 * b, m[2 * y], m[2 * y + 1])
+  xorRotate64(v, 2 * d, 2 * a, 16)
+  add64(v, 2 * c, 2 * d, 0, 0)
+  xorRotate64(v, 2 * b, 2 * c, 63)
+}
+
+// the compression function F of BLAKE2b, updates the state h in place
+function compress (rounds, h, m, t, f) {
+  var v = new Uint32Array(32)
+  var i
+  v.set(h)
+  v.set(IV, 16)
+  v[24] ^= t[0]
+  v[25] ^= t[1]
+  v[26] ^= t[2]
+  v[27] ^= t[3]
+  if (f) {
+    v[28] = ~v[28]
+    v[29] = ~v[29]
+  }
+
+  for (i = 0; i < rounds; i++) {
+    var s = SIGMA[i % 10]
+    mix(v, m, 0, 4, 8, 12, s[0], s[1])
+    mix(v, m, 1, 5, 9, 13, s[2], s[3])
+    mix(v, m, 2, 6, 10, 14, s[4], s[5])
+    mix(v, m, 3, 7, 11, 15, s[6], s[7])
+    mix(v, m, 0, 5, 10, 15, s[8], s[9])
+    mix(v, m, 1, 6, 11, 12, s[10], s[11])
+    mix(v, m, 2, 7, 8, 13, s[12], s[13])
+    mix(v, m, 3, 4, 9, 14, s[14], s[15])
+  }
+
+  for (i = 0; i < 16; i++) {
+    h[i] ^= v[i] ^ v[i + 16]
+  }
+}
+
+// reads the little endian 64 bit words of buf as their low and high 32 bits
+function readWords (buf) {
+  var words = new Uint32Array(buf.length / 4)
+  for (var i = 0; i < words.length; i++) {
+    words[i] = buf.readUInt32LE(i * 4)
+  }
+  return words
+}
+
+// EIP-152
+module.exports = function (opts) {
+  var results = {}
+  var data = opts.data
+
+  if (data.length !== INPUT_LENGTH || data[INPUT_LENGTH - 1] > 1) {
+    // invalid input consumes all gas
+    results.gasUsed = opts.gasLimit
+    results.exceptionError = error.INVALID_INPUT
+    results.exception = 0
+    return results
+  }
+
+  var rounds = data.readUInt32BE(0)
+  var fees = hardforks.params(opts.hardfork)
+  results.gasUsed = new BN(fees.blake2RoundGas.v).imuln(rounds)
+
+  if (opts.gasLimit.cmp(results.gasUsed) === -1) {
+    results.gasUsed = opts.gasLimit
+    results.exceptionError = error.OUT_OF_GAS
+    results.exception = 0 // 0 means VM fail (in this case because of OOG)
+    return results
+  }
+
+  var h = readWords(data.slice(4, 68))
+  var m = readWords(data.slice(68, 196))
+  var t = readWords(data.slice(196, 212))
+  compress(rounds, h, m, t, data[212] === 1)
+
+  results.return = Buffer.alloc(64)
+  for (var i = 0; i < h.length; i++) {
+    results.return.writeUInt32LE(h[i], i * 4)
+  }
+  results.exception = 1
+
+  return results
+}
@@ -2,20 +2,23 @@ const Buffer = require('safe-buffer').Buffer
 const async = require('async')
 const ethUtil = require('ethereumjs-util')
 const Bloom = require('./bloom.js')
-const common = require('ethereum-common')
 const rlp = ethUtil.rlp
 const Trie = require('merkle-patricia-tree')
 const BN = ethUtil.BN
+const hardforks = require('./hardforks.js')
 
-const minerReward = new BN(common.minerReward.v)
-const niblingReward = new BN(common.niblingReward.v)
-const ommerReward = new BN(common.ommerReward.v)
+// the extra data of the first blocks of the DAO fork, "dao-hard-fork"
+const DAO_EXTRA_DATA = Buffer.from('64616f2d686172642d666f726b', 'hex')
+// the number of blocks which have to carry it
+const DAO_EXTRA_DATA_RANGE = 10
 
 /**
  * process the transaction in a block and pays the miners
  * @param opts
  * @param opts.block {Block} the block we are processing
- * @param opts.generate {Boolean} [gen=false] whether to generate the stateRoot
+ * @param opts.generate {Boolean} [gen=false] whether to generate the stateRoot and the receiptTrie
+ * @param opts.hardfork {String} the hardfork rules to run with, defaults to the one active at the block number
+ * @param opts.parentBlock {Block} [parentBlock] the parent of the block, which its base fee is generated or validated from since london
  * @param cb {Function} the callback which is given an error string
  */
 module.exports = function (opts, cb) {
@@ -25,6 +28,7 @@ module.exports = function (opts, cb) {
   const block = opts.block
   const generateStateRoot = !!opts.generate
   const validateStateRoot = !generateStateRoot
+  const hardfork = opts.hardfork || self._getHardfork(block)
   const bloom = new Bloom()
   const receiptTrie = new Trie()
   // the total amount of gas used processing this block
@@ -44,7 +48,10 @@ module.exports = function (opts, cb) {
   // run everything
   async.series([
     beforeBlock,
+    checkDAOExtraData,
+    checkBaseFee,
     populateCache,
+    applyDAOHardfork,
     processTransactions
   ], parseBlockResults)
 
@@ -72,6 +79,79 @@ module.exports = function (opts, cb) {
     self.populateCache(accounts, cb)
   }
 
+  // returns the DAO fork block if the chain supports the fork
+  function getDAOForkBlock () {
+    var chain = self.opts.chain
+    if (chain && chain.dao && chain.hardforks && chain.hardforks.dao !== undefined) {
+      return new BN(chain.hardforks.dao)
+    }
+  }
+
+  // the first blocks of the DAO fork have to carry its extra data
+  function checkDAOExtraData (cb) {
+    var forkBlock = getDAOForkBlock()
+    var number = new BN(block.header.number)
+    if (forkBlock && number.gte(forkBlock) && number.lt(forkBlock.addn(DAO_EXTRA_DATA_RANGE)) &&
+        !DAO_EXTRA_DATA.equals(ethUtil.toBuffer(block.header.extraData))) {
+      cb('invalid DAO fork extra data')
+      return
+    }
+    cb()
+  }
+
+  // EIP-1559: since london blocks carry the base fee which follows from their parent
+  function checkBaseFee (cb) {
+    var header = block.header
+    if (!hardforks.gte(hardfork, 'london')) {
+      cb(header.baseFeePerGas === undefined ? null : 'invalid baseFeePerGas')
+      return
+    }
+
+    var parentBlock = opts.parentBlock
+    if (parentBlock && !header.canonicalBaseFee) {
+      cb('the baseFeePerGas of london blocks needs a VM.Block header')
+      return
+    }
+
+    if (generateStateRoot) {
+      if (parentBlock) {
+        header.baseFeePerGas = header.canonicalBaseFee(parentBlock)
+      }
+      cb()
+      return
+    }
+
+    var valid = parentBlock ? header.validateBaseFee(parentBlock) : header.baseFeePerGas !== undefined
+    cb(valid ? null : 'invalid baseFeePerGas')
+  }
+
+  // moves the balances of the drained DAO accounts to the refund contract
+  function applyDAOHardfork (cb) {
+    var forkBlock = getDAOForkBlock()
+    if (!forkBlock || !forkBlock.eq(new BN(block.header.number))) {
+      cb()
+      return
+    }
+
+    var dao = self.opts.chain.dao
+    var refundContract = Buffer.from(dao.refundContract, 'hex')
+    var refund = new BN(0)
+    async.eachSeries(dao.drainList, function (address, done) {
+      address = Buffer.from(address, 'hex')
+      self.stateManager.getAccountBalance(address, function (err, balance) {
+        if (err) return done(err)
+        refund.iadd(new BN(balance))
+        self.stateManager.putAccountBalance(address, Buffer.alloc(0), done)
+      })
+    }, function (err) {
+      if (err) return cb(err)
+      self.stateManager.getAccountBalance(refundContract, function (err, balance) {
+        if (err) return cb(err)
+        self.stateManager.putAccountBalance(refundContract, refund.add(new BN(balance)).toArrayLike(Buffer), cb)
+      })
+    })
+  }
+
   /**
    * Processes all of the transaction in the block
    * @method processTransaction
@@ -93,6 +173,7 @@ module.exports = function (opts, cb) {
       self.runTx({
         tx: tx,
         block: block,
+        hardfork: hardfork,
         populateCache: false
       }, parseTxResult)
 
@@ -115,23 +196,29 @@ module.exports = function (opts, cb) {
         }
 
         var txLogs = result.vm.logs || []
-        var rawTxReceipt = [
-          self.trie.root,
-          Buffer.from(gasUsed.toArray()),
-          result.bloom.bitvector,
-          txLogs
-        ]
         var txReceipt = {
-          stateRoot: rawTxReceipt[0],
-          gasUsed: rawTxReceipt[1],
-          bitvector: rawTxReceipt[2],
-          logs: rawTxReceipt[3]
+          gasUsed: Buffer.from(gasUsed.toArray()),
+          bitvector: result.bloom.bitvector,
+          logs: txLogs
+        }
+        var rawTxReceipt
+        // EIP-658: since byzantium receipts contain the status of the tx instead of the state root
+        if (hardforks.gte(hardfork, 'byzantium')) {
+          txReceipt.status = result.vm.exceptionError ? 0 : 1
+          rawTxReceipt = [Buffer.from(txReceipt.status ? [1] : []), txReceipt.gasUsed, txReceipt.bitvector, txLogs]
+        } else {
+          txReceipt.stateRoot = self.trie.root
+          rawTxReceipt = [txReceipt.stateRoot, txReceipt.gasUsed, txReceipt.bitvector, txLogs]
         }
 
         receipts.push(txReceipt)
-        receiptTrie.put(rlp.encode(validReceiptCount), rlp.encode(rawTxReceipt))
+        var encodedReceipt = rlp.encode(rawTxReceipt)
+        // EIP-2718: receipts of typed transactions are prefixed with the type byte
+        if (tx.type) {
+          encodedReceipt = Buffer.concat([Buffer.from([tx.type]), encodedReceipt])
+        }
+        receiptTrie.put(rlp.encode(validReceiptCount), encodedReceipt, cb)
         validReceiptCount++
-        cb()
       }
     }
   }
@@ -150,6 +237,9 @@ module.exports = function (opts, cb) {
     // credit all block rewards
     if (generateStateRoot) {
       block.header.stateRoot = self.trie.root
+      if (receiptTrie.root) {
+        block.header.receiptTrie = receiptTrie.root
+      }
     }
 
     self.trie.commit(function (err) {
@@ -184,10 +274,24 @@ module.exports = function (opts, cb) {
 
   // credit all block rewards
   function payOmmersAndMiner () {
+    var chain = self.opts.chain
+    // PoA and development chains can run without block rewards
+    if (chain && chain.blockRewards === false) {
+      return
+    }
+    var minerReward = new BN(hardforks.params(hardfork).minerReward.v)
+    // there are no rewards since the merge
+    if (minerReward.isZero()) {
+      return
+    }
+
     var ommers = block.uncleHeaders
     // pay each ommer
-    ommers.forEach(rewardOmmer)
+    ommers.forEach(function (ommer) {
+      rewardOmmer(ommer, minerReward)
+    })
     // calculate nibling reward
+    var niblingReward = minerReward.divn(32)
     var totalNiblingReward = niblingReward.mul(new BN(ommers.length))
     minerAccount = self.stateManager.cache.get(block.header.coinbase)
     // give miner the block reward
@@ -198,10 +302,10 @@ module.exports = function (opts, cb) {
   }
 
   // credit ommer
-  function rewardOmmer (ommer) {
-    // calculate reward
+  function rewardOmmer (ommer, minerReward) {
+    // calculate reward, (8 - heightDiff) / 8 of the block reward
     var heightDiff = new BN(block.header.number).sub(new BN(ommer.number))
-    var reward = minerReward.sub(ommerReward.mul(heightDiff))
+    var reward = minerReward.mul(new BN(8).sub(heightDiff)).divn(8)
     // credit miners account
     var ommerAccount = self.stateManager.cache.get(ommer.coinbase)
     ommerAccount.balance = reward.add(new BN(ommerAccount.balance))
@@ -1,4 +1,5 @@
 const async = require('async')
+const Block = require('./block.js')
 
 /**
  * processes blocks and adds them to the blockchain
@@ -7,7 +8,7 @@ const async = require('async')
  */
 module.exports = function (blockchain, cb) {
   var self = this
-  var headBlock, parentState
+  var headBlock, parentBlock
 
   // parse arguments
   if (typeof blockchain === 'function') {
@@ -19,6 +20,10 @@ module.exports = function (blockchain, cb) {
   // setup blockchain iterator
   this.stateManager.blockchain.iterator('vm', processBlock, cb)
   function processBlock (block, reorg, cb) {
+    // the blockchain stores `ethereumjs-block` blocks, their headers are
+    // wrapped to have the base fee methods of `VM.Block`
+    block = new Block(block.raw)
+
     async.series([
       getStartingState,
       runBlock
@@ -28,18 +33,23 @@ module.exports = function (blockchain, cb) {
     function getStartingState (cb) {
       // if we are just starting or if a chain re-org has happened
       if (!headBlock || reorg) {
-        self.stateManager.blockchain.getBlock(block.header.parentHash, function (err, parentBlock) {
-          parentState = parentBlock.header.stateRoot
+        self.stateManager.blockchain.getBlock(block.header.parentHash, function (err, parent) {
+          if (err) {
+            cb(err)
+            return
+          }
+
+          parentBlock = new Block(parent.raw)
           // generate genesis state if we are at the genesis block
           // we don't have the genesis state
           if (!headBlock) {
-            return self.stateManager.generateCanonicalGenesis(cb)
+            self.stateManager.generateCanonicalGenesis(cb)
           } else {
-            cb(err)
+            cb()
           }
         })
       } else {
-        parentState = headBlock.header.stateRoot
+        parentBlock = headBlock
         cb()
       }
     }
@@ -48,7 +58,8 @@ module.exports = function (blockchain, cb) {
     function runBlock (cb) {
       self.runBlock({
         block: block,
-        root: parentState
+        parentBlock: parentBlock,
+        root: parentBlock.header.stateRoot
       }, function (err, results) {
         if (err) {
           // remove invalid block
@@ -2,8 +2,8 @@ const Buffer = require('safe-buffer').Buffer
 const async = require('async')
 const ethUtil = require('ethereumjs-util')
 const BN = ethUtil.BN
-const fees = require('ethereum-common')
 const constants = require('./constants.js')
+const hardforks = require('./hardforks.js')
 
 const ERROR = constants.ERROR
 
@@ -20,6 +20,11 @@ const ERROR = constants.ERROR
  * @param opts.origin {Buffer} []
  * @param opts.to {Buffer}
  * @param opts.value {Buffer}
+ * @param opts.salt {Buffer} creates the contract at the address derived from the salt and the init code (CREATE2)
+ * @param opts.static {Boolean} whether state changes are forbidden (STATICCALL)
+ * @param opts.type {String} the opcode which made the call, e.g. `DELEGATECALL`, defaults to `CALL` or `CREATE`
+ * @param opts.codeAddress {Buffer} the address the code is loaded from for CALLCODE and DELEGATECALL, defaults to `opts.to`
+ * @param opts.hardfork {String} the hardfork rules to run with, defaults to the hardfork of the block
  */
 module.exports = function (opts, cb) {
   var self = this
@@ -45,34 +50,81 @@ module.exports = function (opts, cb) {
   // opts.suicides is kept for backward compatiblity with pre-EIP6 syntax
   var selfdestruct = opts.selfdestruct || opts.suicides
   var delegatecall = opts.delegatecall || false
+  var isStatic = opts.static || false
+  var salt = opts.salt
+  var collision = false
+  var hardfork = opts.hardfork || self._getHardfork(block)
+  var fees = hardforks.params(hardfork)
 
   txValue = new BN(txValue)
 
+  // the original storage values (EIP-2200) are the ones from before the
+  // outermost call, also when it is run on its own instead of by a tx
+  if (!depth) {
+    stateManager.clearOriginalStorageCache()
+  }
+
+  if (!toAddress) {
+    // generate a new contract if no `to`
+    code = txData
+    txData = undefined
+    if (salt) {
+      createdAddress = toAddress = generateAddress2(caller, salt, code)
+    } else {
+      var newNonce = new BN(account.nonce).subn(1)
+      createdAddress = toAddress = ethUtil.generateAddress(caller, newNonce.toArray())
+    }
+    // EIP-2929: the created contract is warm, even if the creation fails
+    stateManager.addWarmedAddress(createdAddress)
+  }
+
   stateManager.checkpoint()
 
   // run and parse
   subTxValue()
 
   async.series([
+    runCallHook,
     loadToAccount,
     loadCode,
     runCode,
     saveCode
   ], parseCallResult)
 
+  // run the call hook
+  function runCallHook (cb) {
+    self.emit('beforeCall', {
+      type: opts.type || (createdAddress ? 'CREATE' : 'CALL'),
+      caller: caller,
+      to: toAddress,
+      codeAddress: opts.codeAddress || toAddress,
+      createdAddress: createdAddress,
+      value: txValue,
+      data: createdAddress ? code : txData,
+      gasLimit: gasLimit,
+      depth: depth || 0,
+      block: block,
+      static: isStatic,
+      delegatecall: delegatecall
+    }, cb)
+  }
+
   function loadToAccount (done) {
     // get receiver's account
     // toAccount = stateManager.cache.get(toAddress)
-    if (!toAddress) {
-      // generate a new contract if no `to`
-      code = txData
-      txData = undefined
-      var newNonce = new BN(account.nonce).subn(1)
-      createdAddress = toAddress = ethUtil.generateAddress(caller, newNonce.toArray())
+    if (createdAddress) {
       stateManager.getAccount(createdAddress, function (err, account) {
         toAccount = account
-        const NONCE_OFFSET = 1
-        toAccount.nonce = new BN(toAccount.nonce).addn(NONCE_OFFSET).toArrayLike(Buffer)
+        // EIP-684: contracts can't be created where there already is one
+        collision = toAccount.isContract() || !new BN(toAccount.nonce).isZero()
+        if (!collision) {
+          stateManager.addCreatedContract(createdAddress)
+        }
+        // EIP-161: new contracts start with a nonce of 1
+        if (hardforks.gte(hardfork, 'spuriousDragon')) {
+          const NONCE_OFFSET = 1
+          toAccount.nonce = new BN(toAccount.nonce).addn(NONCE_OFFSET).toArrayLike(Buffer)
+        }
         done(err)
       })
     } else {
@@ -102,15 +154,16 @@ module.exports = function (opts, cb) {
 
   function loadCode (cb) {
     addTxValue()
+    var precompiled = self._getPrecompiled(toAddress, hardfork)
     // loads the contract's code if the account is a contract
-    if (code || !(toAccount.isContract() || ethUtil.isPrecompiled(toAddress))) {
+    if (code || !(toAccount.isContract() || precompiled)) {
       cb()
       return
     }
 
-    if (ethUtil.isPrecompiled(toAddress)) {
+    if (precompiled) {
       isCompiled = true
-      code = self._precompiled[toAddress.toString('hex')]
+      code = precompiled
       cb()
       return
     }
@@ -124,6 +177,20 @@ module.exports = function (opts, cb) {
   }
 
   function runCode (cb) {
+    if (collision) {
+      // a collision fails like an exception and consumes all gas
+      gasUsed = gasLimit
+      vmResults = {
+        gasUsed: gasLimit,
+        return: Buffer.alloc(0),
+        exception: 0,
+        exceptionError: ERROR.CREATE_COLLISION,
+        logs: []
+      }
+      stateManager.revert(cb)
+      return
+    }
+
     if (!code) {
       vmResults.exception = 1
       stateManager.commit(cb)
@@ -142,6 +209,8 @@ module.exports = function (opts, cb) {
       block: block,
       depth: depth,
       selfdestruct: selfdestruct,
+      static: isStatic,
+      hardfork: hardfork,
       populateCache: false
     }
 
@@ -153,19 +222,25 @@ module.exports = function (opts, cb) {
       toAccount = self.stateManager.cache.get(toAddress)
       vmResults = results
 
-      if (createdAddress) {
+      if (createdAddress && !results.exceptionError) {
         // fee for size of the return value
         var returnFee = results.return.length * fees.createDataGas.v
         var totalGas = results.gasUsed.addn(returnFee)
+        // EIP-170: limit the size of the deployed code
+        var codeTooLarge = hardforks.gte(hardfork, 'spuriousDragon') && results.return.length > fees.maxCodeSize.v
+        // EIP-3541: new code can't start with the 0xef byte
+        var invalidCode = hardforks.gte(hardfork, 'london') && results.return[0] === 0xef
         // if not enough gas
-        if (totalGas.cmp(gasLimit) <= 0 && results.return.length <= 24576) {
+        if (totalGas.cmp(gasLimit) <= 0 && !codeTooLarge && !invalidCode) {
           results.gasUsed = totalGas
-        } else {
+        } else if (hardforks.gte(hardfork, 'homestead')) {
           results.return = Buffer.from([])
-          // since Homestead
           results.exception = 0
-          err = results.exceptionError = ERROR.OUT_OF_GAS
+          err = results.exceptionError = invalidCode ? ERROR.INVALID_CODE : ERROR.OUT_OF_GAS
           results.gasUsed = gasLimit
+        } else {
+          // before Homestead the contract is created without code
+          results.return = Buffer.from([])
         }
       }
 
@@ -181,7 +256,7 @@ module.exports = function (opts, cb) {
 
   function saveCode (cb) {
     // store code for a new contract
-    if (createdAddress && vmResults.return.toString() !== '') {
+    if (createdAddress && !vmResults.exceptionError && vmResults.return.toString() !== '') {
       stateManager.putContractCode(createdAddress, vmResults.return, cb)
     } else {
       cb()
@@ -196,6 +271,20 @@ module.exports = function (opts, cb) {
       vm: vmResults
     }
 
-    cb(null, results)
+    self.emit('afterCall', results, function (err) {
+      cb(err, results)
+    })
   }
 }
+
+// EIP-1014: keccak256(0xff ++ sender ++ salt ++ keccak256(init_code))[12:]
+function generateAddress2 (from, salt, code) {
+  return ethUtil.sha3(Buffer.concat([
+    Buffer.from([0xff]),
+    ethUtil.setLengthLeft(from, 20),
+    ethUtil.setLengthLeft(salt, 32),
+    ethUtil.sha3(code || Buffer.alloc(0))
+  ])).slice(12)
+}
+
+module.exports.generateAddress2 = generateAddress2
@@ -18,6 +18,7 @@ const Block = require('ethereumjs-block')
 const lookupOpInfo = require('./opcodes.js')
 const opFns = require('./opFns.js')
 const constants = require('./constants.js')
+const hardforks = require('./hardforks.js')
 const setImmediate = require('timers').setImmediate
 const BN = utils.BN
 
@@ -33,8 +34,10 @@ const ERROR = constants.ERROR
  * @param opts.code {Buffer} the code to be run
  * @param opts.data {Buffer}  the input data
  * @param opts.gasLimit {Buffer}
+ * @param opts.hardfork {String} the hardfork rules to run with, defaults to the hardfork of the block
  * @param opts.origin {Buffer} the address where the call originated from
  * @param opts.value {Buffer} the amount the being transfered
+ * @param opts.static {Boolean} whether the code runs in a read-only context (STATICCALL)
  * @param cb {Function}
  */
 module.exports = function (opts, cb) {
@@ -42,6 +45,7 @@ module.exports = function (opts, cb) {
   var stateManager = self.stateManager
 
   var block = opts.block || new Block()
+  var hardfork = opts.hardfork || self._getHardfork(opts.block)
 
   // VM internal state
   var runState = {
@@ -72,6 +76,10 @@ module.exports = function (opts, cb) {
     origin: opts.origin || opts.caller || utils.zeros(32),
     callData: opts.data || Buffer.from([0]),
     code: opts.code,
+    lastReturnData: Buffer.alloc(0),
+    isStatic: opts.static || false,
+    hardfork: hardfork,
+    fees: hardforks.params(hardfork),
     populateCache: opts.populateCache === undefined ? true : opts.populateCache
   }
 
@@ -79,9 +87,6 @@ module.exports = function (opts, cb) {
   runState._precompiled = self._precompiled
   runState._vm = self
 
-  // since Homestead
-  opFns.DELEGATECALL = opFns._DC
-
   // prepare to run vm
   preprocessValidJumps(runState)
   // load contract then start vm run
@@ -109,7 +114,7 @@ module.exports = function (opts, cb) {
 
   function iterateVm (done) {
     var opCode = runState.code[runState.programCounter]
-    var opInfo = lookupOpInfo(opCode)
+    var opInfo = lookupOpInfo(opCode, false, hardfork)
     var opName = opInfo.name
     var opFn = opFns[opName]
 
@@ -141,7 +146,7 @@ module.exports = function (opts, cb) {
       var eventObj = {
         pc: runState.programCounter,
         gasLeft: runState.gasLeft,
-        opcode: lookupOpInfo(opCode, true),
+        opcode: lookupOpInfo(opCode, true, hardfork),
         stack: runState.stack,
         depth: runState.depth,
         address: runState.address,
@@ -229,7 +234,8 @@ module.exports = function (opts, cb) {
       self.stateManager.touched = []
     }
 
-    if (err) {
+    // a revert returns the gas which is left
+    if (err && err !== ERROR.REVERT) {
       results.gasUsed = runState.gasLimit
     } else {
       results.gasUsed = runState.gasLimit.sub(runState.gasLeft)
@@ -4,15 +4,21 @@ const utils = require('ethereumjs-util')
 const BN = utils.BN
 const Bloom = require('./bloom.js')
 const Block = require('ethereumjs-block')
+const hardforks = require('./hardforks.js')
+const TypedTransaction = require('./typedTransaction.js')
+
+// EIP-2: signatures with an s-value above secp256k1n/2 are invalid since homestead
+const N_DIV_2 = new BN('7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0', 16)
 
 /**
  * Process a transaction. Run the vm. Transfers eth. Checks balances.
  * @method processTx
  * @param opts
- * @param opts.tx {Transaction} - a transaction
+ * @param opts.tx {Transaction|TypedTransaction} - a transaction
  * @param opts.skipNonce - skips the nonce check
  * @param opts.skipBalance - skips the balance check
  * @param opts.block {Block} needed to process the transaction, if no block is given a default one is created
+ * @param opts.hardfork {String} the hardfork rules to run with, defaults to the hardfork of the block
  * @param cb {Function} - the callback
  */
 module.exports = function (opts, cb) {
@@ -22,6 +28,9 @@ module.exports = function (opts, cb) {
   var gasLimit
   var results
   var basefee
+  var gasPrice
+  var hardfork = opts.hardfork || self._getHardfork(block)
+  var london = hardforks.gte(hardfork, 'london')
 
   // create a reasonable default if no block is given
   if (!block) {
@@ -33,6 +42,62 @@ module.exports = function (opts, cb) {
     return
   }
 
+  // EIP-2718
+  if (tx.type && !hardforks.gte(hardfork, 'berlin')) {
+    cb(new Error('typed transactions are not supported before berlin'))
+    return
+  }
+
+  // EIP-155: replay protected txs are only valid on the chain they were signed for
+  var txChainId = tx.getChainId()
+  if (txChainId && !tx.type && !hardforks.gte(hardfork, 'spuriousDragon')) {
+    cb(new Error('replay protected transactions are not supported before spuriousDragon'))
+    return
+  }
+  if ((txChainId || tx.type) && txChainId !== self.chainId) {
+    cb(new Error('tx is signed for chain id ' + txChainId + ' but the chain id is ' + self.chainId))
+    return
+  }
+
+  var sender
+  try {
+    sender = getSender(tx, hardfork)
+  } catch (e) {
+    cb(e)
+    return
+  }
+
+  // EIP-1559: the base fee is burned, only the priority fee goes to the miner
+  var baseFeePerGas = new BN((london && block.header.baseFeePerGas) || 0)
+  var maxFeePerGas = new BN(tx.maxFeePerGas || tx.gasPrice)
+  if (tx.maxFeePerGas) {
+    if (!london) {
+      cb(new Error('fee market transactions are not supported before london'))
+      return
+    }
+
+    var maxPriorityFeePerGas = new BN(tx.maxPriorityFeePerGas)
+    if (maxPriorityFeePerGas.gt(maxFeePerGas)) {
+      cb(new Error('tx has a higher max priority fee per gas than max fee per gas'))
+      return
+    }
+    gasPrice = BN.min(maxFeePerGas, baseFeePerGas.add(maxPriorityFeePerGas))
+  } else {
+    gasPrice = new BN(tx.gasPrice)
+  }
+
+  if (maxFeePerGas.lt(baseFeePerGas)) {
+    cb(new Error('tx max fee per gas is less than the block base fee per gas: ' + baseFeePerGas.toString()))
+    return
+  }
+
+  // EIP-3860: the init code of creation txs is limited in size
+  var maxInitCodeSize = hardforks.params(hardfork).maxInitCodeSize
+  if (maxInitCodeSize && !tx.to.length && tx.data.length > maxInitCodeSize.v) {
+    cb(new Error('tx init code size exceeds the limit of ' + maxInitCodeSize.v + ' bytes'))
+    return
+  }
+
   if (opts.populateCache === undefined) {
     opts.populateCache = true
   }
@@ -53,6 +118,13 @@ module.exports = function (opts, cb) {
       })
     }
   ], function (err) {
+    // the transient storage (EIP-1153), the original values of the storage
+    // slots, the accessed accounts and the created contracts are tracked per
+    // tx, they are discarded when it ends, also if it failed
+    self.stateManager.clearTransientStorage()
+    self.stateManager.clearOriginalStorageCache()
+    self.stateManager.clearWarmedAccounts()
+    self.stateManager.clearCreatedContracts()
     cb(err, results)
   })
 
@@ -71,7 +143,7 @@ module.exports = function (opts, cb) {
    */
   function populateCache (cb) {
     var accounts = new Set()
-    accounts.add(tx.from.toString('hex'))
+    accounts.add(sender.toString('hex'))
     accounts.add(block.header.coinbase.toString('hex'))
 
     if (tx.to.toString('hex') !== '') {
@@ -89,7 +161,7 @@ module.exports = function (opts, cb) {
   // sets up the environment and runs a `call`
   function runCall (cb) {
     // check to the sender's account to make sure it has enough wei and the correct nonce
-    var fromAccount = self.stateManager.cache.get(tx.from)
+    var fromAccount = self.stateManager.cache.get(sender)
     var message
 
     if (!opts.skipBalance && new BN(fromAccount.balance).cmp(tx.getUpfrontCost()) === -1) {
@@ -105,24 +177,25 @@ module.exports = function (opts, cb) {
     // increment the nonce
     fromAccount.nonce = new BN(fromAccount.nonce).addn(1)
 
-    basefee = tx.getBaseFee()
+    basefee = getBaseFee(tx, hardfork)
     gasLimit = new BN(tx.gasLimit)
     if (gasLimit.lt(basefee)) {
       return cb(new Error('base fee exceeds gas limit'))
     }
     gasLimit.isub(basefee)
 
-    fromAccount.balance = new BN(fromAccount.balance).sub(new BN(tx.gasLimit).mul(new BN(tx.gasPrice)))
-    self.stateManager.cache.put(tx.from, fromAccount)
+    fromAccount.balance = new BN(fromAccount.balance).sub(new BN(tx.gasLimit).mul(gasPrice))
+    self.stateManager.cache.put(sender, fromAccount)
 
     var options = {
-      caller: tx.from,
+      caller: sender,
       gasLimit: gasLimit,
-      gasPrice: tx.gasPrice,
+      gasPrice: gasPrice.toArrayLike(Buffer),
       to: tx.to,
       value: tx.value,
       data: tx.data,
       block: block,
+      hardfork: hardfork,
       populateCache: false
     }
 
@@ -130,6 +203,32 @@ module.exports = function (opts, cb) {
       delete options.to
     }
 
+    // EIP-2929: the sender, the recipient and the precompiles start out warm
+    if (hardforks.gte(hardfork, 'berlin')) {
+      self.stateManager.addWarmedAddress(sender)
+      if (options.to) {
+        self.stateManager.addWarmedAddress(tx.to)
+      }
+      // EIP-3651: and the coinbase since shanghai
+      if (hardforks.gte(hardfork, 'shanghai')) {
+        self.stateManager.addWarmedAddress(block.header.coinbase)
+      }
+      Object.keys(self._precompiled).forEach(function (address) {
+        address = Buffer.from(address, 'hex')
+        if (self._getPrecompiled(address, hardfork)) {
+          self.stateManager.addWarmedAddress(address)
+        }
+      })
+      // EIP-2930: so are the entries of the access list
+      ;(tx.accessList || []).forEach(function (item) {
+        var address = utils.setLengthLeft(item[0], 20)
+        self.stateManager.addWarmedAddress(address)
+        item[1].forEach(function (key) {
+          self.stateManager.addWarmedStorage(address, utils.setLengthLeft(key, 32))
+        })
+      })
+    }
+
     // run call
     self.runCall(options, parseResults)
 
@@ -139,34 +238,31 @@ module.exports = function (opts, cb) {
 
       // generate the bloom for the tx
       results.bloom = txLogsBloom(results.vm.logs)
-      fromAccount = self.stateManager.cache.get(tx.from)
+      fromAccount = self.stateManager.cache.get(sender)
 
       // caculate the total gas used
       results.gasUsed = results.gasUsed.add(basefee)
 
-      // process any gas refund
+      // process any gas refund, it is capped at a fifth of the gas used since EIP-3529
       var gasRefund = results.vm.gasRefund
       if (gasRefund) {
-        if (gasRefund.cmp(results.gasUsed.divn(2)) === -1) {
-          results.gasUsed.isub(gasRefund)
-        } else {
-          results.gasUsed.isub(results.gasUsed.divn(2))
-        }
+        var maxRefund = results.gasUsed.divn(hardforks.params(hardfork).maxRefundQuotient.v)
+        results.gasUsed.isub(BN.min(gasRefund, maxRefund))
       }
 
-      results.amountSpent = results.gasUsed.mul(new BN(tx.gasPrice))
+      results.amountSpent = results.gasUsed.mul(gasPrice)
       // refund the leftover gas amount
       fromAccount.balance = new BN(tx.gasLimit).sub(results.gasUsed)
-        .mul(new BN(tx.gasPrice))
+        .mul(gasPrice)
         .add(new BN(fromAccount.balance))
 
-      self.stateManager.cache.put(tx.from, fromAccount)
-      self.stateManager.touched.push(tx.from)
+      self.stateManager.cache.put(sender, fromAccount)
+      self.stateManager.touched.push(sender)
 
       var minerAccount = self.stateManager.cache.get(block.header.coinbase)
-      // add the amount spent on gas to the miner's account
+      // add the amount spent on gas without the burned base fee to the miner's account
       minerAccount.balance = new BN(minerAccount.balance)
-        .add(results.amountSpent)
+        .add(results.gasUsed.mul(gasPrice.sub(baseFeePerGas)))
 
       // save the miner's account
       if (!(new BN(minerAccount.balance).isZero())) {
@@ -183,8 +279,8 @@ module.exports = function (opts, cb) {
         self.stateManager.cache.del(Buffer.from(s, 'hex'))
       })
 
-      // delete all touched accounts
-      var touched = self.stateManager.touched
+      // EIP-161: delete all touched accounts that are empty
+      var touched = hardforks.gte(hardfork, 'spuriousDragon') ? self.stateManager.touched : []
       async.forEach(touched, function (address, next) {
         self.stateManager.accountIsEmpty(address, function (err, empty) {
           if (err) {
@@ -210,6 +306,39 @@ module.exports = function (opts, cb) {
   }
 }
 
+// the intrinsic gas of a tx with the fees of the hardfork. ethereumjs-tx
+// charges the data of legacy txs at the cost from before EIP-2028 and the
+// contract creation fee depending on the `_homestead` flag of the tx
+function getBaseFee (tx, hardfork) {
+  if (tx.type) {
+    return tx.getBaseFee(hardfork)
+  }
+
+  var fees = hardforks.params(hardfork)
+  var fee = TypedTransaction.getDataFee(tx.data, hardfork).iaddn(fees.txGas.v)
+  if (!tx.to.length) {
+    // EIP-2
+    if (hardforks.gte(hardfork, 'homestead')) {
+      fee.iaddn(fees.txCreation.v)
+    }
+    fee.iadd(TypedTransaction.getInitCodeFee(tx.data, hardfork))
+  }
+  return fee
+}
+
+// the sender of a tx with the signature rules of the hardfork. ethereumjs-tx
+// rejects the s-values EIP-2 made invalid also before homestead
+function getSender (tx, hardfork) {
+  if (new BN(tx.s).cmp(N_DIV_2) !== 1) {
+    return tx.from
+  }
+  if (tx.type || hardforks.gte(hardfork, 'homestead')) {
+    throw new Error('Invalid Signature')
+  }
+  // txs before spuriousDragon carry no chain id in v
+  return utils.publicToAddress(utils.ecrecover(tx.hash(false), utils.bufferToInt(tx.v), tx.r, tx.s))
+}
+
 /**
  * @method txLogsBloom
  */
@@ -27,6 +27,13 @@ function StateManager (opts) {
   self.blockchain = blockchain
   self.trie = trie
   self._storageTries = {} // the storage trie cache
+  self._originalStorage = {} // the storage values at the start of the tx
+  self._transientStorage = {} // EIP-1153 storage which only lasts for a tx
+  self._warmedAddresses = {} // EIP-2929 addresses accessed in the tx
+  self._warmedStorage = {} // EIP-2929 storage slots accessed in the tx
+  self._createdContracts = {} // EIP-6780 contracts created in the tx
+  self._journal = [] // functions undoing the changes to the tx-scoped state above
+  self._journalCheckpoints = []
   self.cache = new Cache(trie)
   self.touched = []
 }
@@ -187,6 +194,119 @@ proto.putContractStorage = function (address, key, value, cb) {
   })
 }
 
+// gets the value a storage slot had at the start of the transaction
+proto.getOriginalContractStorage = function (address, key, cb) {
+  var self = this
+  var addressHex = address.toString('hex')
+  var keyHex = key.toString('hex')
+  var original = self._originalStorage[addressHex] || {}
+  if (original[keyHex]) {
+    return cb(null, original[keyHex])
+  }
+
+  // the first lookup in a tx happens before the slot is written to
+  self.getContractStorage(address, key, function (err, value) {
+    if (err) {
+      return cb(err)
+    }
+    original[keyHex] = value
+    self._originalStorage[addressHex] = original
+    cb(null, value)
+  })
+}
+
+proto.clearOriginalStorageCache = function () {
+  this._originalStorage = {}
+}
+
+// gets a value from the transient storage (EIP-1153)
+proto.getContractTransientStorage = function (address, key, cb) {
+  var storage = this._transientStorage[address.toString('hex')] || {}
+  cb(null, storage[key.toString('hex')] || Buffer.alloc(0))
+}
+
+// sets a value in the transient storage, journaling the previous value
+// so that it can be restored when a call reverts
+proto.putContractTransientStorage = function (address, key, value, cb) {
+  var self = this
+  var addressHex = address.toString('hex')
+  var keyHex = key.toString('hex')
+  var storage = self._transientStorage[addressHex] || {}
+  var previous = storage[keyHex]
+
+  self._journal.push(function () {
+    storage[keyHex] = previous
+  })
+  storage[keyHex] = value
+  self._transientStorage[addressHex] = storage
+  cb()
+}
+
+proto.clearTransientStorage = function () {
+  this._transientStorage = {}
+}
+
+// checks if an address was accessed in the tx (EIP-2929)
+proto.isWarmedAddress = function (address) {
+  return !!this._warmedAddresses[address.toString('hex')]
+}
+
+proto.addWarmedAddress = function (address) {
+  var self = this
+  var addressHex = address.toString('hex')
+  if (self._warmedAddresses[addressHex]) return
+
+  self._warmedAddresses[addressHex] = true
+  self._journal.push(function () {
+    delete self._warmedAddresses[addressHex]
+  })
+}
+
+// checks if a storage slot was accessed in the tx (EIP-2929)
+proto.isWarmedStorage = function (address, key) {
+  var storage = this._warmedStorage[address.toString('hex')]
+  return !!storage && !!storage[key.toString('hex')]
+}
+
+proto.addWarmedStorage = function (address, key) {
+  var self = this
+  var addressHex = address.toString('hex')
+  var keyHex = key.toString('hex')
+  var storage = self._warmedStorage[addressHex] || {}
+  if (storage[keyHex]) return
+
+  storage[keyHex] = true
+  self._warmedStorage[addressHex] = storage
+  self._journal.push(function () {
+    delete storage[keyHex]
+  })
+}
+
+proto.clearWarmedAccounts = function () {
+  this._warmedAddresses = {}
+  this._warmedStorage = {}
+}
+
+// checks if a contract was created in the tx (EIP-6780)
+proto.isCreatedContract = function (address) {
+  return !!this._createdContracts[address.toString('hex')]
+}
+
+proto.addCreatedContract = function (address) {
+  var self = this
+  var addressHex = address.toString('hex')
+  if (self._createdContracts[addressHex]) return
+
+  self._createdContracts[addressHex] = true
+  self._journal.push(function () {
+    delete self._createdContracts[addressHex]
+  })
+}
+
+proto.clearCreatedContracts = function () {
+  this._createdContracts = {}
+}
+
 proto.commitContracts = function (cb) {
   var self = this
   async.each(Object.keys(self._storageTries), function (address, cb) {
@@ -228,6 +348,7 @@ proto.checkpoint = function () {
   var self = this
   self.trie.checkpoint()
   self.cache.checkpoint()
+  self._journalCheckpoints.push(self._journal.length)
 }
 
 proto.commit = function (cb) {
@@ -236,6 +357,11 @@ proto.commit = function (cb) {
   self.trie.commit(function () {
     // setup cache checkpointing
     self.cache.commit()
+    self._journalCheckpoints.pop()
+    // without open checkpoints there is nothing left to revert
+    if (!self._journalCheckpoints.length) {
+      self._journal = []
+    }
     cb()
   })
 }
@@ -246,6 +372,11 @@ proto.revert = function (cb) {
   self.trie.revert()
   // setup cache checkpointing
   self.cache.revert()
+  // undo the changes to the tx-scoped state since the checkpoint
+  var length = self._journalCheckpoints.pop() || 0
+  while (self._journal.length > length) {
+    self._journal.pop()()
+  }
   cb()
 }
 
@@ -0,0 +1,104 @@
+const Buffer = require('safe-buffer').Buffer
+const inherits = require('util').inherits
+const BN = require('ethereumjs-util').BN
+const Tracer = require('./tracer.js')
+const ERROR = require('../constants.js').ERROR
+
+/**
+ * Records the tree of the message calls and contract creations of the
+ * transactions run by a VM in the layout of geth's `callTracer`
+ * @constructor
+ * @param {VM} vm the VM to trace
+ */
+var CallTracer = module.exports = function (vm) {
+  this.reset()
+  Tracer.call(this, vm, {
+    beforeTx: this._beforeTx.bind(this),
+    beforeCall: this._beforeCall.bind(this),
+    afterCall: this._afterCall.bind(this),
+    afterTx: this._afterTx.bind(this)
+  })
+}
+
+inherits(CallTracer, Tracer)
+
+/**
+ * Forgets the recorded calls
+ */
+CallTracer.prototype.reset = function () {
+  this.root = null
+  this._gasLimit = null
+  // the calls which haven't returned yet
+  this._stack = []
+}
+
+/**
+ * Returns the call of the last transaction, the calls it made are nested in `calls`
+ * @return {Object}
+ */
+CallTracer.prototype.getResult = function () {
+  return this.root
+}
+
+CallTracer.prototype._beforeTx = function (tx) {
+  this.reset()
+  this._gasLimit = tx.gasLimit
+}
+
+CallTracer.prototype._afterTx = function (results) {
+  // like in geth the transaction's call is charged with the gas of the whole tx
+  if (this.root) {
+    this.root.gas = toQuantity(this._gasLimit)
+    this.root.gasUsed = toQuantity(results.gasUsed)
+  }
+}
+
+CallTracer.prototype._beforeCall = function (message) {
+  var call = {
+    type: message.type,
+    // a delegated call runs with the caller of the contract making it
+    from: toData(message.delegatecall ? message.to : message.caller),
+    to: toData(message.createdAddress || message.codeAddress)
+  }
+  // delegated and static calls don't transfer value
+  if (message.type !== 'DELEGATECALL' && message.type !== 'STATICCALL') {
+    call.value = toQuantity(message.value)
+  }
+  call.gas = toQuantity(message.gasLimit)
+  call.gasUsed = '0x0'
+  call.input = toData(message.data)
+
+  var parent = this._stack[this._stack.length - 1]
+  if (parent) {
+    parent.calls = parent.calls || []
+    parent.calls.push(call)
+  } else {
+    this.root = call
+  }
+  this._stack.push(call)
+}
+
+CallTracer.prototype._afterCall = function (results) {
+  var call = this._stack.pop()
+  if (!call) {
+    return
+  }
+
+  var error = results.vm.exceptionError
+  call.gasUsed = toQuantity(results.gasUsed)
+  // failed calls only return data if they reverted
+  if (!error || error === ERROR.REVERT) {
+    call.output = toData(results.vm.return)
+  }
+  if (error) {
+    call.error = error
+  }
+}
+
+function toData (buf) {
+  return '0x' + (buf || Buffer.alloc(0)).toString('hex')
+}
+
+function toQuantity (value) {
+  return '0x' + new BN(value).toString(16)
+}
@@ -0,0 +1,158 @@
+const inherits = require('util').inherits
+const utils = require('ethereumjs-util')
+const Tracer = require('./tracer.js')
+const ERROR = require('../constants.js').ERROR
+const BN = utils.BN
+
+/**
+ * Adds up the gas the transactions run by a VM use per opcode, per program
+ * counter and per call frame, until it is reset
+ * @constructor
+ * @param {VM} vm the VM to profile
+ */
+var GasProfiler = module.exports = function (vm) {
+  this.reset()
+  Tracer.call(this, vm, {
+    beforeCall: this._beforeCall.bind(this),
+    step: this._step.bind(this),
+    afterCall: this._afterCall.bind(this)
+  })
+}
+
+inherits(GasProfiler, Tracer)
+
+/**
+ * Forgets the gas used so far
+ */
+GasProfiler.prototype.reset = function () {
+  this.opcodes = {}
+  this.pcs = {}
+  this.frames = {}
+  // the gas used by each call path and opcode, for the collapsed stacks
+  this._stacks = {}
+  // the open call frames
+  this._frames = []
+}
+
+/**
+ * Returns the gas used so far
+ * @return {Object} with the `opcodes` mapped to their `count`, `gas`,
+ * `staticGas` and `dynamicGas`, the `pcs` of each contract mapped to the `op`,
+ * its `count` and `gas` and the call `frames` mapped to their `count`, the
+ * `gas` their own steps used and the `totalGas` including their calls
+ */
+GasProfiler.prototype.getResult = function () {
+  return {
+    opcodes: this.opcodes,
+    pcs: this.pcs,
+    frames: this.frames
+  }
+}
+
+/**
+ * Exports the gas used in the collapsed stack format of flame graph tools,
+ * one line per call path and opcode, e.g. `0xab..;0xcd..;SSTORE 20000`
+ * @return {String}
+ */
+GasProfiler.prototype.toCollapsedStacks = function () {
+  var stacks = this._stacks
+  return Object.keys(stacks).map(function (stack) {
+    return stack + ' ' + stacks[stack]
+  }).join('\n')
+}
+
+GasProfiler.prototype._beforeCall = function (message) {
+  var parent = this._frames[this._frames.length - 1]
+  this._pushFrame(parent, message.createdAddress || message.codeAddress)
+}
+
+GasProfiler.prototype._pushFrame = function (parent, address) {
+  var label = '0x' + address.toString('hex')
+  var frame = {
+    address: address.toString('hex'),
+    path: parent ? parent.path + ';' + label : label,
+    pending: null,
+    // the gas used by the last sub call and by all of them
+    childGasUsed: new BN(0),
+    childrenGasUsed: new BN(0),
+    // the gas used by the steps of the frame
+    stepsGas: new BN(0)
+  }
+  this._frames.push(frame)
+  return frame
+}
+
+GasProfiler.prototype._afterCall = function (results) {
+  var frame = this._frames.pop()
+  if (!frame) {
+    return
+  }
+
+  if (frame.pending) {
+    // an exception consumes all of the gas
+    var error = results.vm.exceptionError
+    var gasLeft = error && error !== ERROR.REVERT ? new BN(0) : results.vm.gas
+    this._addStep(frame, gasLeft)
+  }
+
+  var gas = results.gasUsed.sub(frame.childrenGasUsed)
+  var stats = this.frames[frame.path] = this.frames[frame.path] || { count: 0, gas: 0, totalGas: 0 }
+  stats.count++
+  stats.gas += gas.toNumber()
+  stats.totalGas += results.gasUsed.toNumber()
+
+  // gas which isn't used by a step, e.g. by precompiles or to deploy code
+  var rest = gas.sub(frame.stepsGas)
+  if (!rest.isZero()) {
+    this._stacks[frame.path] = (this._stacks[frame.path] || 0) + rest.toNumber()
+  }
+
+  var parent = this._frames[this._frames.length - 1]
+  if (parent) {
+    parent.childGasUsed = results.gasUsed
+    parent.childrenGasUsed.iadd(results.gasUsed)
+  }
+}
+
+GasProfiler.prototype._step = function (step) {
+  var frame = this._frames[this._frames.length - 1]
+  // code run with `runCode` directly has no call frame
+  if (!frame) {
+    frame = this._pushFrame(null, step.address)
+  }
+
+  if (frame.pending) {
+    this._addStep(frame, step.gasLeft)
+  }
+
+  frame.pending = {
+    pc: step.pc,
+    op: step.opcode.name,
+    fee: step.opcode.fee,
+    gas: new BN(step.gasLeft)
+  }
+}
+
+// adds the gas used by the pending step of the frame, which is the gas it
+// used up to `gasLeft` without the gas used by the call it made
+GasProfiler.prototype._addStep = function (frame, gasLeft) {
+  var step = frame.pending
+  var gas = step.gas.sub(gasLeft).sub(frame.childGasUsed).toNumber()
+  frame.pending = null
+  frame.childGasUsed = new BN(0)
+  frame.stepsGas.iadd(new BN(gas))
+
+  var opcode = this.opcodes[step.op] = this.opcodes[step.op] || { count: 0, gas: 0, staticGas: 0, dynamicGas: 0 }
+  opcode.count++
+  opcode.gas += gas
+  opcode.staticGas += step.fee
+  opcode.dynamicGas += gas - step.fee
+
+  var pcs = this.pcs['0x' + frame.address] = this.pcs['0x' + frame.address] || {}
+  var pc = pcs[step.pc] = pcs[step.pc] || { op: step.op, count: 0, gas: 0 }
+  pc.count++
+  pc.gas += gas
+
+  var stack = frame.path + ';' + step.op
+  this._stacks[stack] = (this._stacks[stack] || 0) + gas
+}
@@ -0,0 +1,9 @@
+/**
+ * Tracers which attach to a VM and record what the transactions it runs do
+ */
+module.exports = {
+  StructLogTracer: require('./structLogTracer.js'),
+  CallTracer: require('./callTracer.js'),
+  PrestateTracer: require('./prestateTracer.js'),
+  GasProfiler: require('./gasProfiler.js')
+}
@@ -0,0 +1,212 @@
+const Buffer = require('safe-buffer').Buffer
+const inherits = require('util').inherits
+const async = require('async')
+const utils = require('ethereumjs-util')
+const Tracer = require('./tracer.js')
+const StateManager = require('../stateManager.js')
+const BN = utils.BN
+
+// the opcodes which access the account at the top of the stack
+const ACCOUNT_OPS = ['BALANCE', 'EXTCODESIZE', 'EXTCODECOPY', 'EXTCODEHASH', 'SELFDESTRUCT']
+// the opcodes which access the account below the gas on the stack
+const CALL_OPS = ['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL']
+
+/**
+ * Records the accounts and storage slots the transactions run by a VM access
+ * and reports their state before the transaction like geth's `prestateTracer`
+ * @constructor
+ * @param {VM} vm the VM to trace
+ * @param {Object} [opts]
+ * @param {Boolean} [opts.diffMode] report the state before and after the transaction of what it changed instead
+ */
+var PrestateTracer = module.exports = function (vm, opts) {
+  this.opts = opts || {}
+  this.reset()
+  Tracer.call(this, vm, {
+    beforeTx: this._beforeTx.bind(this),
+    beforeCall: this._beforeCall.bind(this),
+    step: this._step.bind(this)
+  })
+}
+
+inherits(PrestateTracer, Tracer)
+
+/**
+ * Forgets the accessed accounts
+ */
+PrestateTracer.prototype.reset = function () {
+  this._preRoot = null
+  // the accessed storage slots, by the hex address of the accessed accounts
+  this._accounts = {}
+}
+
+/**
+ * Reads the state of the accounts the last transaction accessed. It has to
+ * be called once the transaction ran, before the state changes again
+ * @param {Function} cb given the accounts' state as an `Object` mapping the
+ * addresses to their `balance`, `nonce`, `code` and `storage`. In diff mode
+ * it is given the `pre` and `post` state of the changed accounts instead
+ */
+PrestateTracer.prototype.getResult = function (cb) {
+  var self = this
+  if (!this._preRoot) {
+    cb(null, this.opts.diffMode ? { pre: {}, post: {} } : {})
+    return
+  }
+
+  var pre = stateAt(this.vm, this._preRoot)
+  var post = stateAt(this.vm, this.vm.stateManager.trie.root)
+  var result = this.opts.diffMode ? { pre: {}, post: {} } : {}
+
+  async.eachSeries(Object.keys(this._accounts), function (address, done) {
+    var keys = Object.keys(self._accounts[address])
+    address = Buffer.from(address, 'hex')
+    readAccount(pre, address, keys, function (err, before) {
+      if (err) return done(err)
+      if (!self.opts.diffMode) {
+        result[toHex(address)] = format(before, keys)
+        done()
+        return
+      }
+
+      readAccount(post, address, keys, function (err, after) {
+        if (err) return done(err)
+        addDiff(result, toHex(address), before, after, keys)
+        done()
+      })
+    })
+  }, function (err) {
+    cb(err, result)
+  })
+}
+
+PrestateTracer.prototype._beforeTx = function (tx) {
+  this.reset()
+  this._preRoot = this.vm.stateManager.trie.root
+  this._touch(tx.getSenderAddress())
+  if (tx.to.length) {
+    this._touch(tx.to)
+  }
+}
+
+PrestateTracer.prototype._beforeCall = function (message) {
+  this._touch(message.caller)
+  this._touch(message.to)
+  this._touch(message.codeAddress)
+  if (message.block) {
+    this._touch(message.block.header.coinbase)
+  }
+}
+
+PrestateTracer.prototype._step = function (step) {
+  var name = step.opcode.name
+  var stack = step.stack
+  if (ACCOUNT_OPS.indexOf(name) !== -1) {
+    this._touch(stack[stack.length - 1])
+  } else if (CALL_OPS.indexOf(name) !== -1) {
+    this._touch(stack[stack.length - 2])
+  } else if (name === 'SLOAD' || name === 'SSTORE') {
+    this._touch(step.address, stack[stack.length - 1])
+  }
+}
+
+// remembers an accessed account and optionally one of its storage slots
+PrestateTracer.prototype._touch = function (address, key) {
+  address = utils.setLengthLeft(address, 20).toString('hex')
+  var slots = this._accounts[address] = this._accounts[address] || {}
+  if (key) {
+    slots[utils.setLengthLeft(key, 32).toString('hex')] = true
+  }
+}
+
+// a state manager reading the state at `root`
+function stateAt (vm, root) {
+  var trie = vm.stateManager.trie.copy()
+  trie.root = root
+  return new StateManager({ trie: trie, blockchain: vm.stateManager.blockchain })
+}
+
+function readAccount (stateManager, address, keys, cb) {
+  stateManager.getAccount(address, function (err, account) {
+    if (err) return cb(err)
+    stateManager.getContractCode(address, function (err, code) {
+      if (err) return cb(err)
+      var state = {
+        exists: account.exists,
+        balance: new BN(account.balance),
+        nonce: new BN(account.nonce),
+        code: code || Buffer.alloc(0),
+        storage: {}
+      }
+      async.eachSeries(keys, function (key, done) {
+        stateManager.getContractStorage(address, Buffer.from(key, 'hex'), function (err, value) {
+          state.storage[key] = value
+          done(err)
+        })
+      }, function (err) {
+        cb(err, state)
+      })
+    })
+  })
+}
+
+// the state of an account in the format of geth, empty fields are left out
+function format (state, keys, fields) {
+  var formatted = {}
+  if (!fields || fields.balance) {
+    formatted.balance = '0x' + state.balance.toString(16)
+  }
+  if ((!fields || fields.nonce) && !state.nonce.isZero()) {
+    formatted.nonce = state.nonce.toNumber()
+  }
+  if ((!fields || fields.code) && state.code.length) {
+    formatted.code = toHex(state.code)
+  }
+  if (keys.length) {
+    formatted.storage = {}
+    keys.forEach(function (key) {
+      formatted.storage['0x' + key] = toHex(utils.setLengthLeft(state.storage[key], 32))
+    })
+  }
+  return formatted
+}
+
+// adds the changes of an account to the `pre` and `post` state. Created
+// accounts are only in `post`, deleted ones only in `pre`
+function addDiff (result, address, before, after, keys) {
+  if (!before.exists && !after.exists) {
+    return
+  }
+
+  var changedKeys = keys.filter(function (key) {
+    return !utils.unpad(before.storage[key]).equals(utils.unpad(after.storage[key]))
+  })
+
+  if (!after.exists) {
+    result.pre[address] = format(before, changedKeys)
+    return
+  }
+
+  var nonEmptyKeys = changedKeys.filter(function (key) {
+    return utils.unpad(after.storage[key]).length
+  })
+
+  if (!before.exists) {
+    result.post[address] = format(after, nonEmptyKeys)
+    return
+  }
+
+  var changed = {
+    balance: !before.balance.eq(after.balance),
+    nonce: !before.nonce.eq(after.nonce),
+    code: !before.code.equals(after.code)
+  }
+  if (changed.balance || changed.nonce || changed.code || changedKeys.length) {
+    result.pre[address] = format(before, changedKeys)
+    result.post[address] = format(after, nonEmptyKeys, changed)
+  }
+}
+
+function toHex (buf) {
+  return '0x' + buf.toString('hex')
+}
@@ -0,0 +1,162 @@
+const Buffer = require('safe-buffer').Buffer
+const inherits = require('util').inherits
+const utils = require('ethereumjs-util')
+const Tracer = require('./tracer.js')
+const BN = utils.BN
+
+/**
+ * Collects the steps of the transactions run by a VM in the `structLogs`
+ * format of geth's `debug_traceTransaction`
+ * @constructor
+ * @param {VM} vm the VM to trace
+ * @param {Object} [opts]
+ * @param {Boolean} [opts.disableMemory] don't capture the memory
+ * @param {Boolean} [opts.disableStack] don't capture the stack
+ * @param {Boolean} [opts.disableStorage] don't capture the storage
+ */
+var StructLogTracer = module.exports = function (vm, opts) {
+  this.opts = opts || {}
+  this.reset()
+  Tracer.call(this, vm, {
+    beforeTx: this._beforeTx.bind(this),
+    beforeCall: this._beforeCall.bind(this),
+    step: this._step.bind(this),
+    afterCall: this._afterCall.bind(this),
+    afterTx: this._afterTx.bind(this)
+  })
+}
+
+inherits(StructLogTracer, Tracer)
+
+/**
+ * Forgets the collected steps
+ */
+StructLogTracer.prototype.reset = function () {
+  this.structLogs = []
+  this.gas = 0
+  this.failed = false
+  this.returnValue = ''
+  // the open call frames, each one with its last step whose gas cost isn't known yet
+  this._frames = []
+  // the storage slots read or written so far, by contract address
+  this._storage = {}
+}
+
+/**
+ * Returns the trace of the last transaction like `debug_traceTransaction`
+ * @return {Object} with the `gas` used, whether the tx `failed`, its `returnValue` and the `structLogs`
+ */
+StructLogTracer.prototype.getResult = function () {
+  return {
+    gas: this.gas,
+    failed: this.failed,
+    returnValue: this.returnValue,
+    structLogs: this.structLogs
+  }
+}
+
+StructLogTracer.prototype._beforeTx = function () {
+  this.reset()
+}
+
+StructLogTracer.prototype._afterTx = function (results) {
+  this.gas = results.gasUsed.toNumber()
+  this.failed = !!results.vm.exceptionError
+  this.returnValue = (results.vm.return || Buffer.alloc(0)).toString('hex')
+}
+
+StructLogTracer.prototype._beforeCall = function (message) {
+  this._frames.push({
+    gasLimit: message.gasLimit,
+    pending: null,
+    // the gas a finished sub call gave back to the frame
+    childGasLeft: new BN(0)
+  })
+}
+
+StructLogTracer.prototype._afterCall = function (results) {
+  var frame = this._frames.pop()
+  if (frame && frame.pending) {
+    this._setGasCost(frame, results.vm.gas)
+    if (results.vm.exceptionError && results.vm.exceptionError !== 'revert') {
+      frame.pending.error = results.vm.exceptionError
+    }
+  }
+
+  var parent = this._frames[this._frames.length - 1]
+  if (parent && frame) {
+    parent.childGasLeft = frame.gasLimit.sub(results.gasUsed)
+  }
+}
+
+StructLogTracer.prototype._step = function (step) {
+  var frame = this._frames[this._frames.length - 1]
+  // code run with `runCode` directly has no call frame
+  if (!frame) {
+    frame = { pending: null, childGasLeft: new BN(0) }
+    this._frames.push(frame)
+  }
+
+  if (frame.pending) {
+    this._setGasCost(frame, step.gasLeft)
+    // the value read by SLOAD is on top of the stack now
+    if (frame.pending.op === 'SLOAD' && !this.opts.disableStorage) {
+      this._storeSlot(frame, step.address, frame.pendingKey, step.stack[step.stack.length - 1])
+    }
+  }
+
+  var name = step.opcode.name
+  var log = {
+    pc: step.pc,
+    op: name,
+    gas: step.gasLeft.toNumber(),
+    // corrected when the next step shows how much gas the step used
+    gasCost: step.opcode.fee,
+    depth: step.depth + 1
+  }
+
+  if (!this.opts.disableStack) {
+    log.stack = step.stack.map(toWord)
+  }
+
+  if (!this.opts.disableMemory) {
+    var memory = Buffer.from(step.memory)
+    log.memory = []
+    for (var i = 0; i < memory.length; i += 32) {
+      log.memory.push(utils.setLengthRight(memory.slice(i, i + 32), 32).toString('hex'))
+    }
+  }
+
+  if (!this.opts.disableStorage) {
+    var address = step.address.toString('hex')
+    var top = step.stack[step.stack.length - 1]
+    if (name === 'SSTORE') {
+      var storage = this._storage[address] = this._storage[address] || {}
+      storage[toWord(top)] = toWord(step.stack[step.stack.length - 2])
+    } else if (name === 'SLOAD') {
+      frame.pendingKey = top
+    }
+    log.storage = Object.assign({}, this._storage[address])
+  }
+
+  frame.pending = log
+  this.structLogs.push(log)
+}
+
+// the gas cost of the pending step is the gas it used up to `gasLeft`. Calls
+// cost the gas given to the sub call like in geth instead of the gas it used
+StructLogTracer.prototype._setGasCost = function (frame, gasLeft) {
+  frame.pending.gasCost = new BN(frame.pending.gas).sub(gasLeft).add(frame.childGasLeft).toNumber()
+  frame.childGasLeft = new BN(0)
+}
+
+StructLogTracer.prototype._storeSlot = function (frame, address, key, value) {
+  address = address.toString('hex')
+  var storage = this._storage[address] = this._storage[address] || {}
+  storage[toWord(key)] = toWord(value)
+  frame.pending.storage[toWord(key)] = toWord(value)
+}
+
+function toWord (buf) {
+  return utils.setLengthLeft(buf, 32).toString('hex')
+}
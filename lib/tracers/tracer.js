@@ -0,0 +1,31 @@
+/**
+ * Base of the tracers, it attaches the `listeners` to the events of the VM
+ * @constructor
+ * @param {VM} vm the VM to trace
+ * @param {Object} listeners the handlers of the tracer mapped to the names of the events
+ */
+var Tracer = module.exports = function (vm, listeners) {
+  this.vm = vm
+  this._listeners = listeners
+  this.attach()
+}
+
+/**
+ * Starts tracing, the tracer is attached when it is created
+ */
+Tracer.prototype.attach = function () {
+  var self = this
+  Object.keys(this._listeners).forEach(function (event) {
+    self.vm.on(event, self._listeners[event])
+  })
+}
+
+/**
+ * Stops tracing
+ */
+Tracer.prototype.detach = function () {
+  var self = this
+  Object.keys(this._listeners).forEach(function (event) {
+    self.vm.removeListener(event, self._listeners[event])
+  })
+}
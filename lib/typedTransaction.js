@@ -0,0 +1,258 @@
+const Buffer = require('safe-buffer').Buffer
+const utils = require('ethereumjs-util')
+const Transaction = require('ethereumjs-tx')
+const hardforks = require('./hardforks.js')
+const BN = utils.BN
+const rlp = utils.rlp
+
+// secp256k1n/2
+const N_DIV_2 = new BN('7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0', 16)
+
+// EIP-2930: the intrinsic gas of the access list entries
+const ACCESS_LIST_ADDRESS_GAS = 2400
+const ACCESS_LIST_STORAGE_KEY_GAS = 1900
+
+// the fields of each transaction type in the order they are serialized in
+const TYPES = {
+  // EIP-2930
+  1: ['chainId', 'nonce', 'gasPrice', 'gasLimit', 'to', 'value', 'data', 'accessList', 'v', 'r', 's'],
+  // EIP-1559
+  2: ['chainId', 'nonce', 'maxPriorityFeePerGas', 'maxFeePerGas', 'gasLimit', 'to', 'value', 'data', 'accessList', 'v', 'r', 's']
+}
+
+// fields which are kept as they are instead of being stripped of leading zeros
+const BYTE_FIELDS = ['to', 'data']
+
+/**
+ * A typed transaction (EIP-2718). It can be run by `runTx` like the legacy
+ * transactions of `ethereumjs-tx`
+ * @constructor
+ * @param {Number} type the transaction type, `1` for access list transactions (EIP-2930) or `2` for fee market transactions (EIP-1559)
+ * @param {Object|Array|Buffer} [data] the fields of the transaction, as an `Object`, in serialization order or RLP encoded without the type byte
+ */
+var TypedTransaction = module.exports = function (type, data) {
+  var self = this
+  var fields = TYPES[type]
+  if (!fields) {
+    throw new Error('unsupported transaction type: ' + type)
+  }
+
+  data = data || {}
+  if (Buffer.isBuffer(data)) {
+    data = rlp.decode(data)
+  }
+
+  if (Array.isArray(data)) {
+    if (data.length !== fields.length) {
+      throw new Error('wrong number of fields in data')
+    }
+    data = fields.reduce(function (obj, field, i) {
+      obj[field] = data[i]
+      return obj
+    }, {})
+  }
+
+  this.type = type
+  this._fields = fields
+  this._homestead = true
+  fields.forEach(function (field) {
+    if (field === 'accessList') {
+      self.accessList = (data.accessList || []).map(function (item) {
+        return [utils.toBuffer(item[0]), item[1].map(utils.toBuffer)]
+      })
+    } else if (BYTE_FIELDS.indexOf(field) !== -1) {
+      self[field] = utils.toBuffer(data[field] || Buffer.alloc(0))
+    } else {
+      self[field] = utils.unpad(utils.toBuffer(data[field] || Buffer.alloc(0)))
+    }
+  })
+
+  Object.defineProperty(this, 'from', {
+    enumerable: true,
+    configurable: true,
+    get: this.getSenderAddress.bind(this)
+  })
+}
+
+/**
+ * Decodes a serialized transaction, which is either a typed transaction
+ * starting with its type byte or an RLP encoded legacy transaction
+ * @param {Buffer} serialized
+ * @return {TypedTransaction|Transaction}
+ */
+TypedTransaction.fromSerialized = function (serialized) {
+  // EIP-2718: RLP encoded lists start with a byte of at least 0xc0
+  if (serialized[0] <= 0x7f) {
+    return new TypedTransaction(serialized[0], serialized.slice(1))
+  }
+  return new Transaction(serialized)
+}
+
+/**
+ * Returns the fields of the transaction in serialization order
+ * @param {Boolean} [includeSignature=true]
+ * @return {Array}
+ */
+TypedTransaction.prototype.raw = function (includeSignature) {
+  var self = this
+  var fields = includeSignature === false ? this._fields.slice(0, -3) : this._fields
+  return fields.map(function (field) {
+    return self[field]
+  })
+}
+
+/**
+ * Returns the type byte followed by the RLP encoded fields
+ * @return {Buffer}
+ */
+TypedTransaction.prototype.serialize = function (includeSignature) {
+  return Buffer.concat([Buffer.from([this.type]), rlp.encode(this.raw(includeSignature))])
+}
+
+/**
+ * Computes the hash of the serialized transaction
+ * @param {Boolean} [includeSignature=true] whether or not to include the signature
+ * @return {Buffer}
+ */
+TypedTransaction.prototype.hash = function (includeSignature) {
+  return utils.sha3(this.serialize(includeSignature))
+}
+
+TypedTransaction.prototype.getChainId = function () {
+  return utils.bufferToInt(this.chainId)
+}
+
+TypedTransaction.prototype.toCreationAddress = function () {
+  return this.to.toString('hex') === ''
+}
+
+/**
+ * Signs the transaction, the `v` field is the parity of the signature
+ * @param {Buffer} privateKey
+ */
+TypedTransaction.prototype.sign = function (privateKey) {
+  var sig = utils.ecsign(this.hash(false), privateKey)
+  this.v = utils.unpad(utils.toBuffer(sig.v - 27))
+  this.r = utils.unpad(sig.r)
+  this.s = utils.unpad(sig.s)
+  delete this._from
+}
+
+TypedTransaction.prototype.verifySignature = function () {
+  // signatures whose s-value is greater than secp256k1n/2 are invalid
+  if (new BN(this.s).cmp(N_DIV_2) === 1) {
+    return false
+  }
+
+  try {
+    var pubKey = utils.ecrecover(this.hash(false), utils.bufferToInt(this.v) + 27, utils.setLengthLeft(this.r, 32), utils.setLengthLeft(this.s, 32))
+    this._from = utils.publicToAddress(pubKey)
+  } catch (e) {
+    return false
+  }
+  return true
+}
+
+TypedTransaction.prototype.getSenderAddress = function () {
+  if (!this._from && !this.verifySignature()) {
+    throw new Error('Invalid Signature')
+  }
+  return this._from
+}
+
+/**
+ * The amount of gas paid for the data in this tx
+ * @param {String} [hardfork] the hardfork whose fees apply (default: `berlin`)
+ * @return {BN}
+ */
+TypedTransaction.prototype.getDataFee = function (hardfork) {
+  return TypedTransaction.getDataFee(this.data, hardfork)
+}
+
+/**
+ * The amount of gas paid for the data of a tx, legacy txs included
+ * @param {Buffer} data
+ * @param {String} [hardfork] the hardfork whose fees apply (default: `berlin`)
+ * @return {BN}
+ */
+TypedTransaction.getDataFee = function (data, hardfork) {
+  // typed transactions only exist since berlin
+  var fees = hardforks.params(hardfork || 'berlin')
+  var cost = new BN(0)
+  for (var i = 0; i < data.length; i++) {
+    cost.iaddn(data[i] === 0 ? fees.txDataZeroGas.v : fees.txDataNonZeroGas.v)
+  }
+  return cost
+}
+
+/**
+ * The amount of gas paid for the init code of a creation tx (EIP-3860)
+ * @param {Buffer} data the init code
+ * @param {String} [hardfork] the hardfork whose fees apply (default: `berlin`)
+ * @return {BN}
+ */
+TypedTransaction.getInitCodeFee = function (data, hardfork) {
+  var fees = hardforks.params(hardfork || 'berlin')
+  if (!fees.initCodeWordGas) {
+    return new BN(0)
+  }
+  return new BN(fees.initCodeWordGas.v).imuln(Math.ceil(data.length / 32))
+}
+
+/**
+ * The amount of gas paid for the addresses and storage keys of the access list
+ * @return {BN}
+ */
+TypedTransaction.prototype.getAccessListFee = function () {
+  var cost = new BN(0)
+  this.accessList.forEach(function (item) {
+    cost.iaddn(ACCESS_LIST_ADDRESS_GAS)
+    cost.iaddn(item[1].length * ACCESS_LIST_STORAGE_KEY_GAS)
+  })
+  return cost
+}
+
+/**
+ * The minimum amount of gas the tx must have (DataFee + TxFee + Creation Fee + AccessListFee)
+ * @param {String} [hardfork] the hardfork whose fees apply (default: `berlin`)
+ * @return {BN}
+ */
+TypedTransaction.prototype.getBaseFee = function (hardfork) {
+  var fees = hardforks.params(hardfork || 'berlin')
+  var fee = this.getDataFee(hardfork).iaddn(fees.txGas.v)
+  if (this.toCreationAddress()) {
+    fee.iaddn(fees.txCreation.v)
+    fee.iadd(TypedTransaction.getInitCodeFee(this.data, hardfork))
+  }
+  return fee.iadd(this.getAccessListFee())
+}
+
+/**
+ * Checks the signature and that the gas limit covers the base fee
+ * @param {Boolean} [stringError=false] whether to return a `String` with the errors instead of a `Boolean`
+ * @return {Boolean|String}
+ */
+TypedTransaction.prototype.validate = function (stringError) {
+  var errors = []
+  if (!this.verifySignature()) {
+    errors.push('Invalid Signature')
+  }
+
+  if (this.getBaseFee().gt(new BN(this.gasLimit))) {
+    errors.push('gas limit is too low. Need at least ' + this.getBaseFee())
+  }
+
+  if (stringError === undefined || stringError === false) {
+    return errors.length === 0
+  }
+  return errors.join(' ')
+}
+
+/**
+ * The most the sender can be charged, i.e. the gas limit at the highest gas price plus the value
+ * @return {BN}
+ */
+TypedTransaction.prototype.getUpfrontCost = function () {
+  var gasPrice = this.maxFeePerGas || this.gasPrice
+  return new BN(this.gasLimit).mul(new BN(gasPrice)).add(new BN(this.value))
+}
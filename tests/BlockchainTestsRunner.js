@@ -18,21 +18,11 @@ module.exports = function runBlockchainTest (options, testData, t, cb) {
   blockchain.ethash.cacheDB = cacheDB
   var vm = new VM({
     state: state,
-    blockchain: blockchain
+    blockchain: blockchain,
+    hardfork: options.hardfork
   })
   var genesisBlock = new Block()
 
-  testData.homestead = true
-  if (testData.homestead) {
-    vm.on('beforeTx', function (tx) {
-      tx._homestead = true
-    })
-    vm.on('beforeBlock', function (block) {
-      block.header.isHomestead = function () {
-        return true
-      }
-    })
-  }
   async.series([
     // set up pre-state
     function (done) {
@@ -55,17 +45,6 @@ module.exports = function runBlockchainTest (options, testData, t, cb) {
       async.eachSeries(testData.blocks, function (raw, cb) {
         try {
           var block = new Block(Buffer.from(raw.rlp.slice(2), 'hex'))
-          // forces the block into thinking they are homestead
-          if (testData.homestead) {
-            block.header.isHomestead = function () {
-              return true
-            }
-            block.uncleHeaders.forEach(function (uncle) {
-              uncle.isHomestead = function () {
-                return true
-              }
-            })
-          }
           blockchain.putBlock(block, function (err) {
             cb(err)
           })
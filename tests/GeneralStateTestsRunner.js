@@ -21,14 +21,15 @@ function parseTestCases (forkConfig, testData) {
   return testCases
 }
 
-function runTestCase (testData, t, cb) {
+function runTestCase (options, testData, t, cb) {
   const state = new Trie()
   let block, vm
 
   async.series([
     function (done) {
       vm = new VM({
-        state: state
+        state: state,
+        hardfork: options.hardfork
       })
       testUtil.setupPreConditions(state, testData, done)
     },
@@ -74,6 +75,6 @@ function runTestCase (testData, t, cb) {
 module.exports = function runStateTest (options, testData, t, cb) {
   const testCases = parseTestCases(options.forkConfig, testData)
   async.eachSeries(testCases,
-                  (testCase, done) => runTestCase(testCase, t, done),
+                  (testCase, done) => runTestCase(options, testCase, t, done),
                   cb)
 }
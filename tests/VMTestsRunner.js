@@ -29,7 +29,7 @@ module.exports = function runVMTest (options, testData, t, cb) {
     },
     function (done) {
       let block = testUtil.makeBlockFromEnv(testData.env)
-      let vm = new VM({state: state})
+      let vm = new VM({state: state, hardfork: options.hardfork})
       let runCodeData = testUtil.makeRunCodeData(testData.exec, account, block)
       if (options.vmtrace) {
         vm.on('step', (op) => {
@@ -0,0 +1,183 @@
+const tape = require('tape')
+const async = require('async')
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const Transaction = require('ethereumjs-tx')
+const VM = require('../')
+
+const privateKey = utils.sha3('sender')
+const sender = utils.privateToAddress(privateKey)
+const to = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+const callee = Buffer.from('00000000000000000000000000000000000000bb', 'hex')
+
+// stores 2 at slot 0, loads it and returns it
+const storeAndReturn = '6002600055' + '600054' + '600052' + '60206000f3'
+// calls the callee with 50000 gas, the CALL is at pc 34
+const callCallee = '6000600060006000600073' + callee.toString('hex') + '61c350f100'
+// stores 1 at slot 0
+const storeOne = '6001600055'
+
+// creates a VM with a funded sender, the code at `to` and `storeOne` at the callee
+function setupVM (code, cb) {
+  var vm = new VM({ hardfork: 'byzantium' })
+  async.series([
+    vm.stateManager.putAccountBalance.bind(vm.stateManager, sender, new BN(10).pow(new BN(18))),
+    vm.stateManager.putContractCode.bind(vm.stateManager, to, Buffer.from(code, 'hex')),
+    vm.stateManager.putContractCode.bind(vm.stateManager, callee, Buffer.from(storeOne, 'hex')),
+    vm.stateManager.cache.flush.bind(vm.stateManager.cache)
+  ], function (err) {
+    cb(err, vm)
+  })
+}
+
+function runTx (vm, nonce, cb) {
+  var tx = new Transaction({ nonce: nonce, gasPrice: 1, gasLimit: 100000, to: to })
+  tx.sign(privateKey)
+  vm.runTx({ tx: tx }, cb)
+}
+
+// runs a tx and calls `actions` on the debugger in turn at each pause,
+// calling back with the `pc`, `depth` and `reason` of the pauses
+function debugTx (vm, nonce, debug, actions, cb) {
+  var pauses = []
+  function onPaused (state) {
+    pauses.push([state.pc, state.depth, state.reason])
+    debug[actions.shift() || 'resume']()
+  }
+  debug.on('paused', onPaused)
+  runTx(vm, nonce, function (err) {
+    debug.removeListener('paused', onPaused)
+    cb(err, pauses)
+  })
+}
+
+function word (n) {
+  return utils.setLengthLeft(Buffer.from([n]), 32)
+}
+
+tape('Debugger', function (t) {
+  t.test('should pause at breakpoints', function (st) {
+    setupVM(callCallee, function (err, vm) {
+      st.error(err)
+      var debug = new VM.Debugger(vm)
+      var breakpoint = debug.breakAt({ address: '0x' + callee.toString('hex'), pc: 2 })
+      debug.breakOnOpcode('STOP')
+      debug.on('paused', function (state) {
+        if (state.opcode === 'PUSH1') {
+          st.equal(state.breakpoint, breakpoint)
+          st.ok(state.address.equals(callee))
+          st.equal(state.depth, 1)
+          st.equal(state.reason, 'breakpoint')
+          st.deepEqual(debug.getStack(), [word(1)])
+
+          var calls = debug.getCallStack()
+          st.deepEqual(calls.map(function (call) { return [call.type, call.address.toString('hex'), call.depth, call.pc] }), [
+            ['CALL', to.toString('hex'), 0, 34],
+            ['CALL', callee.toString('hex'), 1, 2]
+          ])
+        } else {
+          st.equal(state.opcode, 'STOP')
+          st.equal(state.pc, 35)
+          st.equal(debug.getCallStack().length, 1)
+        }
+        debug.resume()
+      })
+      runTx(vm, 0, function (err) {
+        st.error(err)
+        st.equal(debug.state, null)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should pause before storage writes and read the storage', function (st) {
+    setupVM(storeAndReturn, function (err, vm) {
+      st.error(err)
+      var debug = new VM.Debugger(vm)
+      debug.breakOnStorageWrite(1)
+      debug.breakOnStorageWrite(0, callee)
+      debug.breakOnStorageWrite(0, to)
+      debug.breakOnOpcode('RETURN')
+      debug.on('paused', function (state) {
+        if (state.opcode === 'SSTORE') {
+          st.equal(state.breakpoint, debug.breakpoints[2], 'should only pause for the slot of the contract')
+          debug.getStorage(0, function (err, value) {
+            st.error(err)
+            st.equal(value.length, 0)
+            debug.stepInto()
+          })
+        } else if (state.opcode === 'PUSH1') {
+          st.equal(state.reason, 'step')
+          debug.getStorage(0, function (err, value) {
+            st.error(err)
+            st.deepEqual(value, Buffer.from([2]), 'should read the written value')
+            debug.resume()
+          })
+        } else {
+          st.deepEqual(debug.getMemory(), word(2))
+          debug.resume()
+        }
+      })
+      runTx(vm, 0, function (err) {
+        st.error(err)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should step into, over and out of calls', function (st) {
+    setupVM(callCallee, function (err, vm) {
+      st.error(err)
+      var debug = new VM.Debugger(vm)
+      debug.breakAt({ address: to, pc: 34 })
+      debug.stepInto()
+      debugTx(vm, 0, debug, ['resume', 'stepInto', 'stepOver', 'stepOut'], function (err, pauses) {
+        st.error(err)
+        st.deepEqual(pauses, [
+          [0, 0, 'step'],
+          [34, 0, 'breakpoint'],
+          [0, 1, 'step'],
+          [2, 1, 'step'],
+          [35, 0, 'step']
+        ])
+
+        debugTx(vm, 1, debug, ['stepOver', 'stepOut'], function (err, pauses) {
+          st.error(err)
+          st.deepEqual(pauses, [
+            [34, 0, 'breakpoint'],
+            [35, 0, 'step']
+          ], 'should step over the call and run to the end when stepping out of the tx')
+          st.end()
+        })
+      })
+    })
+  })
+
+  t.test('should only step through a paused VM', function (st) {
+    setupVM(callCallee, function (err, vm) {
+      st.error(err)
+      var debug = new VM.Debugger(vm)
+      st.throws(function () {
+        debug.stepOver()
+      }, /not paused/)
+      st.throws(function () {
+        debug.getStack()
+      }, /not paused/)
+
+      var breakpoint = debug.breakOnOpcode('CALL')
+      debug.removeBreakpoint(breakpoint)
+      debug.breakOnOpcode('SSTORE')
+      var pauses = 0
+      debug.on('paused', function () {
+        pauses++
+        debug.detach()
+      })
+      runTx(vm, 0, function (err, results) {
+        st.error(err)
+        st.equal(pauses, 1)
+        st.notOk(results.vm.exceptionError, 'should resume when detached')
+        st.end()
+      })
+    })
+  })
+})
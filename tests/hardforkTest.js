@@ -0,0 +1,104 @@
+const tape = require('tape')
+const async = require('async')
+const Block = require('ethereumjs-block')
+const BN = require('ethereumjs-util').BN
+const VM = require('../')
+
+tape('hardfork rules', function (t) {
+  t.test('should reject unknown hardforks', function (st) {
+    st.throws(function () {
+      return new VM({ hardfork: 'frontierClassic' })
+    }, /unsupported hardfork/)
+    st.end()
+  })
+
+  t.test('should use the gas schedule of the hardfork', function (st) {
+    // PUSH1 0x00 SLOAD
+    var code = Buffer.from('600054', 'hex')
+    var expected = {
+      chainstart: 53,
+      homestead: 53,
+      tangerineWhistle: 203,
+      spuriousDragon: 203
+    }
+
+    var pending = Object.keys(expected)
+    pending.forEach(function (hardfork) {
+      var vm = new VM({ hardfork: hardfork })
+      vm.runCode({
+        code: code,
+        gasLimit: Buffer.from('ffff', 'hex')
+      }, function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), expected[hardfork], hardfork + ' SLOAD cost')
+        pending.splice(pending.indexOf(hardfork), 1)
+        if (!pending.length) st.end()
+      })
+    })
+  })
+
+  t.test('should only know DELEGATECALL since homestead', function (st) {
+    // DELEGATECALL(gas, 0x00, 0, 0, 0, 0)
+    var code = Buffer.from('600060006000600060006000f4', 'hex')
+
+    new VM({ hardfork: 'chainstart' }).runCode({
+      code: code,
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.equal(err, 'invalid opcode', 'chainstart')
+
+      new VM({ hardfork: 'homestead' }).runCode({
+        code: code,
+        gasLimit: Buffer.from('ffff', 'hex')
+      }, function (err, results) {
+        st.error(err, 'homestead')
+        st.end()
+      })
+    })
+  })
+
+  t.test('should switch hardforks at the activation blocks of the chain', function (st) {
+    var vm = new VM({
+      chain: {
+        hardforks: {
+          homestead: 5,
+          tangerineWhistle: 10
+        }
+      }
+    })
+
+    // PUSH1 0x00 SLOAD
+    var code = Buffer.from('600054', 'hex')
+    var expected = [[9, 53], [10, 203]]
+
+    st.equal(vm._getHardfork(), 'spuriousDragon', 'no block')
+    st.equal(vm._getHardfork(blockAt(0)), 'chainstart', 'block 0')
+    st.equal(vm._getHardfork(blockAt(5)), 'homestead', 'block 5')
+    st.equal(vm._getHardfork(blockAt(1000)), 'tangerineWhistle', 'block 1000')
+
+    async.eachSeries(expected, function (test, next) {
+      vm.runCode({
+        code: code,
+        block: blockAt(test[0]),
+        gasLimit: Buffer.from('ffff', 'hex')
+      }, function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), test[1], 'SLOAD cost at block ' + test[0])
+        next()
+      })
+    }, st.end)
+  })
+
+  t.test('should reject unknown hardforks in the chain config', function (st) {
+    st.throws(function () {
+      return new VM({ chain: { hardforks: { metropolis: 0 } } })
+    }, /unsupported hardfork/)
+    st.end()
+  })
+})
+
+function blockAt (number) {
+  var block = new Block()
+  block.header.number = new BN(number).toArrayLike(Buffer)
+  return block
+}
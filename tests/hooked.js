@@ -1,4 +1,5 @@
 const tape = require('tape')
+const ethUtil = require('ethereumjs-util')
 const createHookedVm = require('../lib/hooked')
 
 tape('hooked-vm', function (test) {
@@ -55,6 +56,41 @@ tape('hooked-vm', function (test) {
   })
 })
 
+tape('hooked-vm EXTCODEHASH', function (test) {
+  var contractAddressHex = '0x1234000000000000000000000000000000001234'
+  var emptyAddressHex = '0x0000000000000000000000000000000000005678'
+  var contractCode = Buffer.from('600160005500', 'hex')
+
+  var blockchainState = {
+    [contractAddressHex]: {
+      balance: '0x0',
+      nonce: '0x0',
+      code: '0x' + contractCode.toString('hex'),
+      storage: {}
+    },
+    [emptyAddressHex]: {
+      balance: '0x0',
+      nonce: '0x0',
+      code: '0x',
+      storage: {}
+    }
+  }
+
+  var vm = createHookedVm({ hardfork: 'constantinople' }, hooksForBlockchainState(blockchainState))
+
+  vm.runCode({
+    // return EXTCODEHASH of the contract and of the empty account
+    code: Buffer.from('73' + contractAddressHex.slice(2) + '3f600052' + '73' + emptyAddressHex.slice(2) + '3f60205260406000f3', 'hex'),
+    address: Buffer.from(contractAddressHex.slice(2), 'hex'),
+    gasLimit: Buffer.from('ffffff', 'hex')
+  }, function (err, results) {
+    test.ifError(err, 'Should run code without error')
+    test.equal(results.return.slice(0, 32).toString('hex'), ethUtil.sha3(contractCode).toString('hex'), 'Should return the hash of the code')
+    test.equal(results.return.slice(32).toString('hex'), ethUtil.zeros(32).toString('hex'), 'Should return zero for empty accounts')
+    test.end()
+  })
+})
+
 function hooksForBlockchainState (blockchainState) {
   return {
     fetchAccountBalance: function (addressHex, cb) {
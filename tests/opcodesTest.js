@@ -0,0 +1,660 @@
+const tape = require('tape')
+const async = require('async')
+const utils = require('ethereumjs-util')
+const Block = require('ethereumjs-block')
+const Transaction = require('ethereumjs-tx')
+const VM = require('../')
+
+tape('REVERT', function (t) {
+  // MSTORE8(0, 0xaa) REVERT(0, 1)
+  var code = Buffer.from('60aa60005360016000fd', 'hex')
+
+  t.test('should be an invalid opcode before byzantium', function (st) {
+    new VM({ hardfork: 'spuriousDragon' }).runCode({
+      code: code,
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.equal(err, 'invalid opcode')
+      st.equal(results.gasUsed.toNumber(), 0xffff, 'should consume all gas')
+      st.end()
+    })
+  })
+
+  t.test('should return the payload and the gas left', function (st) {
+    new VM({ hardfork: 'byzantium' }).runCode({
+      code: code,
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.equal(err, 'revert')
+      st.equal(results.exception, 0)
+      st.equal(results.exceptionError, 'revert')
+      st.equal(results.return.toString('hex'), 'aa')
+      st.equal(results.gasUsed.toNumber(), 18)
+      st.end()
+    })
+  })
+
+  t.test('should roll back the state changes of the call', function (st) {
+    var vm = new VM({ hardfork: 'byzantium' })
+    var address = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+    var key = utils.zeros(32)
+
+    vm.runCall({
+      // SSTORE(0, 1) REVERT(0, 0)
+      code: Buffer.from('600160005560006000fd', 'hex'),
+      to: address,
+      caller: Buffer.from('00000000000000000000000000000000000000ee', 'hex'),
+      gasLimit: new utils.BN(100000)
+    }, function (err, results) {
+      st.error(err)
+      st.equal(results.vm.exceptionError, 'revert')
+      st.ok(results.gasUsed.ltn(100000), 'should not consume all gas')
+      vm.stateManager.getContractStorage(address, key, function (err, value) {
+        st.error(err)
+        st.equal(value.length, 0, 'should not have stored the value')
+        st.end()
+      })
+    })
+  })
+})
+
+tape('RETURNDATASIZE and RETURNDATACOPY', function (t) {
+  t.test('should read the output of the last call', function (st) {
+    var code = Buffer.from([
+      '60aa600053', // MSTORE8(0, 0xaa)
+      '6000600060016000600060046200ffff', 'f150', // CALL the identity precompile with 1 byte
+      '3d600052', // MSTORE(0, RETURNDATASIZE)
+      '60016000603f3e', // RETURNDATACOPY(0x3f, 0, 1)
+      '60406000f3' // RETURN(0, 0x40)
+    ].join(''), 'hex')
+
+    new VM({ hardfork: 'byzantium' }).runCode({
+      code: code,
+      gasLimit: Buffer.from('ffffff', 'hex')
+    }, function (err, results) {
+      st.error(err)
+      st.equal(results.return.toString('hex'), utils.setLengthLeft([1], 32).toString('hex') + utils.setLengthLeft([0xaa], 32).toString('hex'))
+      st.end()
+    })
+  })
+
+  t.test('should fail when reading past the return data', function (st) {
+    new VM({ hardfork: 'byzantium' }).runCode({
+      // RETURNDATACOPY(0, 0, 1)
+      code: Buffer.from('6001600060003e', 'hex'),
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.equal(err, 'value out of range')
+      st.equal(results.gasUsed.toNumber(), 0xffff, 'should consume all gas')
+      st.end()
+    })
+  })
+})
+
+tape('STATICCALL', function (t) {
+  var target = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+  // STATICCALL(0xffff, target, 0, 0, 0, 0) and return its result
+  var code = Buffer.from('600060006000600060ff61fffffa60005260206000f3', 'hex')
+
+  function runStaticCall (targetCode, cb) {
+    var vm = new VM({ hardfork: 'byzantium' })
+    vm.stateManager.putContractCode(target, targetCode, function (err) {
+      if (err) return cb(err)
+      vm.runCode({
+        code: code,
+        gasLimit: Buffer.from('ffffff', 'hex')
+      }, cb)
+    })
+  }
+
+  t.test('should allow reading the state', function (st) {
+    // SLOAD(0)
+    runStaticCall(Buffer.from('600054', 'hex'), function (err, results) {
+      st.error(err)
+      st.equal(utils.bufferToInt(results.return), 1, 'call should succeed')
+      st.end()
+    })
+  })
+
+  t.test('should fail on state changes', function (st) {
+    // SSTORE(0, 1)
+    runStaticCall(Buffer.from('6001600055', 'hex'), function (err, results) {
+      st.error(err)
+      st.equal(utils.bufferToInt(results.return), 0, 'call should fail')
+      st.end()
+    })
+  })
+
+  t.test('should forbid logs in a static context', function (st) {
+    new VM({ hardfork: 'byzantium' }).runCode({
+      // LOG0(0, 0)
+      code: Buffer.from('60006000a0', 'hex'),
+      gasLimit: Buffer.from('ffff', 'hex'),
+      static: true
+    }, function (err) {
+      st.equal(err, 'static state change')
+      st.end()
+    })
+  })
+})
+
+tape('SHL, SHR and SAR', function (t) {
+  // test vectors from EIP-145 as [value, shift, expected]
+  var ones = 'ff'.repeat(32)
+  var signBit = '80' + '00'.repeat(31)
+  var vectors = {
+    SHL: [
+      ['01', '00', '01'],
+      ['01', 'ff', signBit],
+      ['01', '0100', '00'],
+      [ones, '01', 'ff'.repeat(31) + 'fe']
+    ],
+    SHR: [
+      ['01', '01', '00'],
+      [signBit, '01', '40' + '00'.repeat(31)],
+      [signBit, 'ff', '01'],
+      [ones, '0100', '00']
+    ],
+    SAR: [
+      [signBit, '01', 'c0' + '00'.repeat(31)],
+      [signBit, 'ff', ones],
+      [signBit, '0100', ones],
+      ['7f' + 'ff'.repeat(31), 'fe', '01'],
+      [ones, '01', ones],
+      ['7f' + 'ff'.repeat(31), '0100', '00']
+    ]
+  }
+  var opcodes = { SHL: '1b', SHR: '1c', SAR: '1d' }
+
+  // PUSH32 value PUSH2 shift <op> and return the result
+  function shiftCode (op, value, shift) {
+    return Buffer.from('7f' + utils.setLengthLeft(Buffer.from(value, 'hex'), 32).toString('hex') +
+      '61' + utils.setLengthLeft(Buffer.from(shift, 'hex'), 2).toString('hex') +
+      opcodes[op] + '60005260206000f3', 'hex')
+  }
+
+  t.test('should be invalid opcodes before constantinople', function (st) {
+    new VM({ hardfork: 'byzantium' }).runCode({
+      code: shiftCode('SHL', '01', '01'),
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err) {
+      st.equal(err, 'invalid opcode')
+      st.end()
+    })
+  })
+
+  t.test('should shift the values', function (st) {
+    var vm = new VM({ hardfork: 'constantinople' })
+    var tests = []
+    Object.keys(vectors).forEach(function (op) {
+      vectors[op].forEach(function (vector) {
+        tests.push([op].concat(vector))
+      })
+    })
+
+    async.eachSeries(tests, function (test, next) {
+      vm.runCode({
+        code: shiftCode(test[0], test[1], test[2]),
+        gasLimit: Buffer.from('ffff', 'hex')
+      }, function (err, results) {
+        st.error(err)
+        var expected = utils.setLengthLeft(Buffer.from(test[3], 'hex'), 32).toString('hex')
+        st.equal(results.return.toString('hex'), expected, test[0] + ' ' + test[1] + ' by ' + test[2])
+        next()
+      })
+    }, st.end)
+  })
+})
+
+tape('CREATE2', function (t) {
+  var address = Buffer.from('deadbeef00000000000000000000000000000000', 'hex')
+  // CREATE2(0, 0, 1, 0) with the init code 0x00 and return the created address
+  var code = Buffer.from('6000600160006000f560005260206000f3', 'hex')
+
+  function runCreate2 (vm, cb) {
+    vm.runCall({
+      code: code,
+      to: address,
+      caller: Buffer.from('00000000000000000000000000000000000000ee', 'hex'),
+      gasLimit: new utils.BN(100000)
+    }, cb)
+  }
+
+  t.test('should be an invalid opcode before constantinople', function (st) {
+    runCreate2(new VM({ hardfork: 'byzantium' }), function (err, results) {
+      st.error(err)
+      st.equal(results.vm.exceptionError, 'invalid opcode')
+      st.end()
+    })
+  })
+
+  t.test('should derive the address from the salt and the init code', function (st) {
+    var vm = new VM({ hardfork: 'constantinople' })
+    runCreate2(vm, function (err, results) {
+      st.error(err)
+      // example 1 of EIP-1014
+      st.equal(results.vm.return.toString('hex'), utils.setLengthLeft(Buffer.from('b928f69bb1d91cd65274e3c79d8986362984fda3', 'hex'), 32).toString('hex'))
+
+      runCreate2(vm, function (err, results) {
+        st.error(err)
+        st.equal(utils.bufferToInt(results.vm.return), 0, 'should fail on an address collision')
+        st.end()
+      })
+    })
+  })
+})
+
+tape('EXTCODEHASH', function (t) {
+  var target = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+  var targetCode = Buffer.from('600160005500', 'hex')
+  // return EXTCODEHASH(target)
+  var code = Buffer.from('60ff3f60005260206000f3', 'hex')
+
+  t.test('should be an invalid opcode before constantinople', function (st) {
+    new VM({ hardfork: 'byzantium' }).runCode({
+      code: code,
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err) {
+      st.equal(err, 'invalid opcode')
+      st.end()
+    })
+  })
+
+  t.test('should return zero for non-existent accounts', function (st) {
+    new VM({ hardfork: 'constantinople' }).runCode({
+      code: code,
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.error(err)
+      st.equal(results.return.toString('hex'), utils.zeros(32).toString('hex'))
+      st.end()
+    })
+  })
+
+  t.test('should return the hash of the code', function (st) {
+    var vm = new VM({ hardfork: 'constantinople' })
+    vm.stateManager.putContractCode(target, targetCode, function (err) {
+      st.error(err)
+      vm.runCode({
+        code: code,
+        gasLimit: Buffer.from('ffff', 'hex')
+      }, function (err, results) {
+        st.error(err)
+        st.equal(results.return.toString('hex'), utils.sha3(targetCode).toString('hex'))
+        st.end()
+      })
+    })
+  })
+})
+
+tape('CHAINID and SELFBALANCE', function (t) {
+  t.test('should return the chain id of the VM', function (st) {
+    new VM({ hardfork: 'istanbul', chainId: 3 }).runCode({
+      // return CHAINID
+      code: Buffer.from('4660005260206000f3', 'hex'),
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.error(err)
+      st.equal(utils.bufferToInt(results.return), 3)
+      st.end()
+    })
+  })
+
+  t.test('should return the balance of the running contract', function (st) {
+    var vm = new VM({ hardfork: 'istanbul' })
+    var caller = Buffer.from('00000000000000000000000000000000000000ee', 'hex')
+    vm.stateManager.putAccountBalance(caller, new utils.BN(100), function (err) {
+      st.error(err)
+      vm.runCall({
+        // return SELFBALANCE
+        code: Buffer.from('4760005260206000f3', 'hex'),
+        to: Buffer.from('00000000000000000000000000000000000000ff', 'hex'),
+        caller: caller,
+        value: new utils.BN(5),
+        gasLimit: new utils.BN(100000)
+      }, function (err, results) {
+        st.error(err)
+        st.error(results.vm.exceptionError)
+        st.equal(utils.bufferToInt(results.vm.return), 5)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should be invalid opcodes before istanbul', function (st) {
+    new VM({ hardfork: 'petersburg' }).runCode({
+      code: Buffer.from('46', 'hex'),
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err) {
+      st.equal(err, 'invalid opcode')
+      st.end()
+    })
+  })
+})
+
+tape('SSTORE net gas metering (EIP-2200)', function (t) {
+  var address = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+  var key = utils.zeros(32)
+  // test cases from EIP-2200 as [code, gas used, refund, original value]
+  var tests = [
+    ['60006000556000600055', 1612, 0, 0],
+    ['60006000556001600055', 20812, 0, 0],
+    ['60016000556000600055', 20812, 19200, 0],
+    ['60016000556002600055', 20812, 0, 0],
+    ['60006000556000600055', 5812, 15000, 1],
+    ['60006000556001600055', 5812, 4200, 1],
+    ['60026000556000600055', 5812, 15000, 1],
+    ['60026000556001600055', 5812, 4200, 1],
+    ['60016000556000600055', 5812, 15000, 1],
+    ['60016000556001600055', 1612, 0, 1],
+    ['600160005560006000556001600055', 40818, 19200, 0],
+    ['600060005560016000556000600055', 10818, 19200, 1]
+  ]
+
+  function runSstore (code, original, gasLimit, cb) {
+    var vm = new VM({ hardfork: 'istanbul' })
+    vm.stateManager.getAccount(address, function (err) {
+      if (err) return cb(err)
+      vm.stateManager.putContractStorage(address, key, original ? Buffer.from([original]) : Buffer.alloc(0), function (err) {
+        if (err) return cb(err)
+        vm.runCode({
+          code: Buffer.from(code, 'hex'),
+          address: address,
+          gasLimit: gasLimit
+        }, cb)
+      })
+    })
+  }
+
+  t.test('should charge and refund by original, current and new value', function (st) {
+    async.eachSeries(tests, function (test, next) {
+      runSstore(test[0], test[3], new utils.BN(100000), function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), test[1], test[0] + ' gas used')
+        st.equal(results.gasRefund.toNumber(), test[2], test[0] + ' refund')
+        next()
+      })
+    }, st.end)
+  })
+
+  t.test('should take the original values from before each outermost call', function (st) {
+    var vm = new VM({ hardfork: 'istanbul' })
+    function runCall (code, cb) {
+      vm.runCall({
+        code: Buffer.from(code, 'hex'),
+        to: address,
+        caller: Buffer.from('00000000000000000000000000000000000000ee', 'hex'),
+        gasLimit: new utils.BN(100000)
+      }, cb)
+    }
+
+    // SSTORE(0, 1)
+    runCall('6001600055', function (err, results) {
+      st.error(err)
+      st.equal(results.gasUsed.toNumber(), 20006)
+      // SSTORE(0, 2)
+      runCall('6002600055', function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), 5006, 'should not see the slot as written in the same call')
+        st.end()
+      })
+    })
+  })
+
+  t.test('should fail with only the call stipend left', function (st) {
+    // PUSH1 0x01 PUSH1 0x00 SSTORE
+    runSstore('6001600055', 0, new utils.BN(2306), function (err, results) {
+      st.equal(err, 'out of gas')
+      st.end()
+    })
+  })
+})
+
+tape('TLOAD and TSTORE', function (t) {
+  var target = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+
+  t.test('should read the values written in the same tx', function (st) {
+    new VM({ hardfork: 'cancun' }).runCode({
+      // TSTORE(0, 0xaa) and return TLOAD(0)
+      code: Buffer.from('60aa60005d60005c60005260206000f3', 'hex'),
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.error(err)
+      st.equal(utils.bufferToInt(results.return), 0xaa)
+      st.equal(results.gasUsed.toNumber(), 224, 'should charge 100 gas for TLOAD and TSTORE')
+      st.end()
+    })
+  })
+
+  t.test('should roll back the writes of reverted calls', function (st) {
+    var vm = new VM({ hardfork: 'cancun' })
+    // TSTORE(0, 1) REVERT(0, 0)
+    vm.stateManager.putContractCode(target, Buffer.from('600160005d60006000fd', 'hex'), function (err) {
+      st.error(err)
+      vm.runCode({
+        // TSTORE(0, 2) CALL(0xffff, target, 0, 0, 0, 0, 0) and return TLOAD(0)
+        code: Buffer.from('600260005d' + '6000600060006000600060ff61fffff150' + '60005c60005260206000f3', 'hex'),
+        address: target,
+        gasLimit: Buffer.from('ffffff', 'hex')
+      }, function (err, results) {
+        st.error(err)
+        st.equal(utils.bufferToInt(results.return), 2)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should forbid writes in a static context', function (st) {
+    new VM({ hardfork: 'cancun' }).runCode({
+      // TSTORE(0, 1)
+      code: Buffer.from('600160005d', 'hex'),
+      gasLimit: Buffer.from('ffff', 'hex'),
+      static: true
+    }, function (err) {
+      st.equal(err, 'static state change')
+      st.end()
+    })
+  })
+
+  t.test('should be discarded at the end of the tx', function (st) {
+    var vm = new VM({ hardfork: 'cancun' })
+    var privateKey = utils.sha3('secret')
+    var block = new Block()
+    block.header.gasLimit = Buffer.from('0fffff', 'hex')
+
+    function runTx (nonce, cb) {
+      var tx = new Transaction({
+        nonce: nonce,
+        gasLimit: 100000,
+        to: target
+      })
+      tx.sign(privateKey)
+      vm.runTx({ tx: tx, block: block, skipBalance: true }, cb)
+    }
+
+    // SSTORE(1, TLOAD(0)) TSTORE(0, 1)
+    vm.stateManager.putContractCode(target, Buffer.from('60005c600155600160005d', 'hex'), function (err) {
+      st.error(err)
+      async.series([
+        vm.stateManager.cache.flush.bind(vm.stateManager.cache),
+        runTx.bind(null, 0),
+        runTx.bind(null, 1)
+      ], function (err) {
+        st.error(err)
+        vm.stateManager.getContractStorage(target, utils.setLengthLeft([1], 32), function (err, value) {
+          st.error(err)
+          st.equal(value.length, 0, 'the second tx should not see the value of the first')
+          st.end()
+        })
+      })
+    })
+  })
+})
+
+tape('PUSH0', function (t) {
+  // PUSH0 and return it
+  var code = Buffer.from('5f60005260206000f3', 'hex')
+
+  t.test('should be an invalid opcode before shanghai', function (st) {
+    new VM({ hardfork: 'merge' }).runCode({
+      code: code,
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err) {
+      st.equal(err, 'invalid opcode')
+      st.end()
+    })
+  })
+
+  t.test('should push zero for 2 gas', function (st) {
+    new VM({ hardfork: 'shanghai' }).runCode({
+      code: code,
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.error(err)
+      st.equal(results.return.toString('hex'), utils.zeros(32).toString('hex'))
+      st.equal(results.gasUsed.toNumber(), 2 + 3 + 6 + 3 + 3)
+      st.end()
+    })
+  })
+})
+
+tape('MCOPY', function (t) {
+  var word = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f'
+
+  t.test('should copy overlapping memory', function (st) {
+    new VM({ hardfork: 'cancun' }).runCode({
+      // MSTORE(0, word) MCOPY(1, 0, 8) RETURN(0, 32)
+      code: Buffer.from('7f' + word + '600052' + '6008600060015e' + '60206000f3', 'hex'),
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.error(err)
+      st.equal(results.return.toString('hex'), '00' + word.slice(0, 16) + word.slice(18))
+      st.equal(results.gasUsed.toNumber(), 3 + 3 + 6 + 9 + 6 + 6)
+      st.end()
+    })
+  })
+
+  t.test('should charge for memory expansion', function (st) {
+    new VM({ hardfork: 'cancun' }).runCode({
+      // MCOPY(32, 0, 32)
+      code: Buffer.from('6020600060205e', 'hex'),
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.error(err)
+      st.equal(results.gasUsed.toNumber(), 9 + 3 + 3 + 6, 'should pay for two words of memory')
+      st.end()
+    })
+  })
+})
+
+tape('BASEFEE and PREVRANDAO', function (t) {
+  var block = new VM.Block()
+  block.header.baseFeePerGas = Buffer.from('07', 'hex')
+  block.header.mixHash = utils.sha3('randao')
+
+  t.test('should return the base fee of the block', function (st) {
+    new VM({ hardfork: 'london' }).runCode({
+      // return BASEFEE
+      code: Buffer.from('4860005260206000f3', 'hex'),
+      block: block,
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.error(err)
+      st.equal(utils.bufferToInt(results.return), 7)
+      st.end()
+    })
+  })
+
+  t.test('should return the difficulty before and the mix hash after the merge', function (st) {
+    // return DIFFICULTY / PREVRANDAO
+    var code = Buffer.from('4460005260206000f3', 'hex')
+    block.header.difficulty = Buffer.from('0100', 'hex')
+
+    new VM({ hardfork: 'london' }).runCode({
+      code: code,
+      block: block,
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      st.error(err)
+      st.equal(utils.bufferToInt(results.return), 0x100, 'london')
+
+      new VM({ hardfork: 'merge' }).runCode({
+        code: code,
+        block: block,
+        gasLimit: Buffer.from('ffff', 'hex')
+      }, function (err, results) {
+        st.error(err)
+        st.equal(results.return.toString('hex'), block.header.mixHash.toString('hex'), 'merge')
+        st.end()
+      })
+    })
+  })
+})
+
+tape('EIP-2929 access lists', function (t) {
+  function gasUsed (hardfork, code, cb) {
+    new VM({ hardfork: hardfork }).runCode({
+      code: Buffer.from(code, 'hex'),
+      gasLimit: Buffer.from('ffff', 'hex')
+    }, function (err, results) {
+      cb(err, results && results.gasUsed.toNumber())
+    })
+  }
+
+  t.test('should charge cold and warm storage accesses', function (st) {
+    // SLOAD(0) SLOAD(0)
+    gasUsed('berlin', '600054600054', function (err, used) {
+      st.error(err)
+      st.equal(used, 3 + 2100 + 3 + 100, 'berlin')
+      gasUsed('istanbul', '600054600054', function (err, used) {
+        st.error(err)
+        st.equal(used, 3 + 800 + 3 + 800, 'istanbul')
+        st.end()
+      })
+    })
+  })
+
+  t.test('should charge cold and warm account accesses', function (st) {
+    // BALANCE(0xff) BALANCE(0xff)
+    gasUsed('berlin', '60ff3160ff31', function (err, used) {
+      st.error(err)
+      st.equal(used, 3 + 2600 + 3 + 100)
+      st.end()
+    })
+  })
+
+  t.test('should charge cold slots on SSTORE', function (st) {
+    // SSTORE(0, 1) SSTORE(0, 1)
+    gasUsed('berlin', '60016000556001600055', function (err, used) {
+      st.error(err)
+      st.equal(used, 6 + 2100 + 20000 + 6 + 100)
+      st.end()
+    })
+  })
+
+  t.test('should forget the accesses of reverted calls', function (st) {
+    var target = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+    // CALL(0xffff, target, 0, 0, 0, 0, 0) and return the cost of PUSH1 0xee BALANCE POP GAS
+    var code = Buffer.from('6000600060006000600060ff61fffff150' + '5a60ee31505a900360005260206000f3', 'hex')
+
+    function run (targetCode, cb) {
+      var vm = new VM({ hardfork: 'berlin' })
+      vm.stateManager.putContractCode(target, Buffer.from(targetCode, 'hex'), function (err) {
+        if (err) return cb(err)
+        vm.runCode({ code: code, gasLimit: Buffer.from('ffffff', 'hex') }, cb)
+      })
+    }
+
+    // BALANCE(0xee) STOP
+    run('60ee315000', function (err, results) {
+      st.error(err)
+      st.equal(utils.bufferToInt(results.return), 3 + 100 + 2 + 2, 'warm after a successful call')
+      // BALANCE(0xee) REVERT(0, 0)
+      run('60ee315060006000fd', function (err, results) {
+        st.error(err)
+        st.equal(utils.bufferToInt(results.return), 3 + 2600 + 2 + 2, 'cold after a reverted call')
+        st.end()
+      })
+    })
+  })
+})
@@ -0,0 +1,261 @@
+const tape = require('tape')
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const VM = require('../')
+const modexp = require('../lib/precompiled/05-modexp.js')
+
+tape('MODEXP', function (t) {
+  var address = Buffer.from('0000000000000000000000000000000000000005', 'hex')
+
+  t.test('should only be active since byzantium', function (st) {
+    st.notOk(new VM({ hardfork: 'spuriousDragon' })._getPrecompiled(address), 'spuriousDragon')
+    st.equal(new VM({ hardfork: 'byzantium' })._getPrecompiled(address), modexp, 'byzantium')
+    st.end()
+  })
+
+  t.test('should calculate the modular exponentiation', function (st) {
+    // 3 ** (p - 1) mod p, from EIP-198
+    var data = Buffer.from([
+      utils.setLengthLeft([1], 32).toString('hex'),
+      utils.setLengthLeft([32], 32).toString('hex'),
+      utils.setLengthLeft([32], 32).toString('hex'),
+      '03',
+      'fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2e',
+      'fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f'
+    ].join(''), 'hex')
+
+    var results = modexp({ data: data, gasLimit: new BN(100000), hardfork: 'byzantium' })
+    st.equal(results.exception, 1)
+    st.equal(results.gasUsed.toNumber(), 13056)
+    st.equal(results.return.toString('hex'), utils.setLengthLeft([1], 32).toString('hex'))
+    st.end()
+  })
+
+  t.test('should use the EIP-2565 gas cost since berlin', function (st) {
+    var data = Buffer.from([
+      utils.setLengthLeft([1], 32).toString('hex'),
+      utils.setLengthLeft([32], 32).toString('hex'),
+      utils.setLengthLeft([32], 32).toString('hex'),
+      '03',
+      'fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2e',
+      'fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f'
+    ].join(''), 'hex')
+
+    var results = modexp({ data: data, gasLimit: new BN(100000), hardfork: 'berlin' })
+    st.equal(results.gasUsed.toNumber(), Math.floor(4 * 4 * 255 / 3))
+    st.equal(results.return.toString('hex'), utils.setLengthLeft([1], 32).toString('hex'))
+
+    results = modexp({ data: Buffer.alloc(96), gasLimit: new BN(100000), hardfork: 'berlin' })
+    st.equal(results.gasUsed.toNumber(), 200, 'should charge at least 200 gas')
+    st.end()
+  })
+
+  t.test('should return zeros for a zero modulus', function (st) {
+    var data = Buffer.from([
+      utils.setLengthLeft([1], 32).toString('hex'),
+      utils.setLengthLeft([1], 32).toString('hex'),
+      utils.setLengthLeft([2], 32).toString('hex'),
+      '0303'
+    ].join(''), 'hex')
+
+    var results = modexp({ data: data, gasLimit: new BN(100000), hardfork: 'byzantium' })
+    st.equal(results.exception, 1)
+    st.equal(results.return.toString('hex'), '0000')
+    st.end()
+  })
+
+  t.test('should return nothing without a modulus', function (st) {
+    var data = Buffer.from([
+      utils.setLengthLeft([1], 32).toString('hex'),
+      utils.setLengthLeft([1], 32).toString('hex'),
+      utils.setLengthLeft([0], 32).toString('hex'),
+      '0302'
+    ].join(''), 'hex')
+
+    var results = modexp({ data: data, gasLimit: new BN(100000), hardfork: 'byzantium' })
+    st.equal(results.exception, 1)
+    st.equal(results.return.length, 0)
+    st.end()
+  })
+
+  t.test('should run out of gas', function (st) {
+    var data = Buffer.from([
+      utils.setLengthLeft([1], 32).toString('hex'),
+      utils.setLengthLeft([0xff], 32).toString('hex'),
+      utils.setLengthLeft([0xff], 32).toString('hex')
+    ].join(''), 'hex')
+
+    var results = modexp({ data: data, gasLimit: new BN(100), hardfork: 'byzantium' })
+    st.equal(results.exception, 0)
+    st.equal(results.exceptionError, 'out of gas')
+    st.equal(results.gasUsed.toNumber(), 100)
+    st.end()
+  })
+})
+
+// the G1 generator (1, 2) and its double
+var G1 = [
+  utils.setLengthLeft([1], 32).toString('hex'),
+  utils.setLengthLeft([2], 32).toString('hex')
+].join('')
+var G1_DOUBLE = [
+  '030644e72e131a029b85045b68181585d97816a916871ca8d3c208c16d87cfd3',
+  '15ed738c0e0a7c92e7845f96b2ae9c0a68a6a449e3538fc7ff3ebf7a5a18a2c4'
+].join('')
+// -G1 = (1, p - 2)
+var G1_NEG = [
+  utils.setLengthLeft([1], 32).toString('hex'),
+  '30644e72e131a029b85045b68181585d97816a916871ca8d3c208c16d87cfd45'
+].join('')
+// the G2 generator, every coordinate as imaginary part followed by the real part
+var G2 = [
+  '198e9393920d483a7260bfb731fb5d25f1aa493335a9e71297e485b7aef312c2',
+  '1800deef121f1e76426a00665e5c4479674322d4f75edadd46debd5cd992f6ed',
+  '090689d0585ff075ec9e99ad690c3395bc4b313370b38ef355acdadcd122975b',
+  '12c85ea5db8c6deb4aab71808dcb408fe3d1e7690c43d37b4ce6cc0166fa7daa'
+].join('')
+
+tape('ECADD', function (t) {
+  var ecadd = require('../lib/precompiled/06-ecadd.js')
+
+  t.test('should add two points', function (st) {
+    var results = ecadd({ data: Buffer.from(G1 + G1, 'hex'), gasLimit: new BN(100000), hardfork: 'byzantium' })
+    st.equal(results.exception, 1)
+    st.equal(results.gasUsed.toNumber(), 500)
+    st.equal(results.return.toString('hex'), G1_DOUBLE)
+    st.end()
+  })
+
+  t.test('should use the repriced gas cost since istanbul', function (st) {
+    var results = ecadd({ data: Buffer.from(G1, 'hex'), gasLimit: new BN(100000), hardfork: 'istanbul' })
+    st.equal(results.exception, 1)
+    st.equal(results.gasUsed.toNumber(), 150)
+    st.equal(results.return.toString('hex'), G1, 'adding the point at infinity')
+    st.end()
+  })
+
+  t.test('should fail for points not on the curve', function (st) {
+    var data = Buffer.from(G1 + utils.setLengthLeft([1], 64).toString('hex'), 'hex')
+    var results = ecadd({ data: data, gasLimit: new BN(100000), hardfork: 'byzantium' })
+    st.equal(results.exception, 0)
+    st.equal(results.exceptionError, 'invalid input')
+    st.equal(results.gasUsed.toNumber(), 100000, 'should consume all gas')
+    st.end()
+  })
+})
+
+tape('ECMUL', function (t) {
+  var ecmul = require('../lib/precompiled/07-ecmul.js')
+
+  t.test('should multiply a point with a scalar', function (st) {
+    var data = Buffer.from(G1 + utils.setLengthLeft([2], 32).toString('hex'), 'hex')
+    var results = ecmul({ data: data, gasLimit: new BN(100000), hardfork: 'byzantium' })
+    st.equal(results.exception, 1)
+    st.equal(results.gasUsed.toNumber(), 40000)
+    st.equal(results.return.toString('hex'), G1_DOUBLE)
+    st.end()
+  })
+
+  t.test('should run out of gas', function (st) {
+    var results = ecmul({ data: Buffer.from(G1, 'hex'), gasLimit: new BN(6000), hardfork: 'byzantium' })
+    st.equal(results.exception, 0)
+    st.equal(results.exceptionError, 'out of gas')
+    st.end()
+  })
+})
+
+tape('ECPAIRING', function (t) {
+  var ecpairing = require('../lib/precompiled/08-ecpairing.js')
+
+  t.test('should check the product of the pairings', function (st) {
+    // e(2 * G1, G2) * e(-G1, G2) * e(-G1, G2) = 1
+    var data = Buffer.from(G1_DOUBLE + G2 + G1_NEG + G2 + G1_NEG + G2, 'hex')
+    var results = ecpairing({ data: data, gasLimit: new BN(1000000), hardfork: 'byzantium' })
+    st.equal(results.exception, 1)
+    st.equal(results.gasUsed.toNumber(), 100000 + 3 * 80000)
+    st.equal(results.return.toString('hex'), utils.setLengthLeft([1], 32).toString('hex'))
+
+    // e(G1, G2) * e(-G1, G2) * e(-G1, G2) != 1
+    data = Buffer.from(G1 + G2 + G1_NEG + G2 + G1_NEG + G2, 'hex')
+    results = ecpairing({ data: data, gasLimit: new BN(1000000), hardfork: 'istanbul' })
+    st.equal(results.exception, 1)
+    st.equal(results.gasUsed.toNumber(), 45000 + 3 * 34000)
+    st.equal(results.return.toString('hex'), utils.setLengthLeft([0], 32).toString('hex'))
+    st.end()
+  })
+
+  t.test('should succeed for empty input', function (st) {
+    var results = ecpairing({ data: Buffer.alloc(0), gasLimit: new BN(1000000), hardfork: 'byzantium' })
+    st.equal(results.exception, 1)
+    st.equal(results.return.toString('hex'), utils.setLengthLeft([1], 32).toString('hex'))
+    st.end()
+  })
+
+  t.test('should fail for input of the wrong length', function (st) {
+    var results = ecpairing({ data: Buffer.from(G1, 'hex'), gasLimit: new BN(1000000), hardfork: 'byzantium' })
+    st.equal(results.exception, 0)
+    st.equal(results.exceptionError, 'invalid input')
+    st.equal(results.gasUsed.toNumber(), 1000000, 'should consume all gas')
+    st.end()
+  })
+})
+
+tape('BLAKE2F', function (t) {
+  var blake2f = require('../lib/precompiled/09-blake2f.js')
+  var address = Buffer.from('0000000000000000000000000000000000000009', 'hex')
+
+  // the compression of "abc" with the initial BLAKE2b-512 state, from EIP-152
+  function input (rounds, f) {
+    return Buffer.from(rounds +
+      '48c9bdf267e6096a3ba7ca8485ae67bb2bf894fe72f36e3cf1361d5f3af54fa5d182e6ad7f520e511f6c3e2b8c68059b6bbd41fbabd9831f79217e1319cde05b' +
+      '6162630000000000000000000000000000000000000000000000000000000000' +
+      '0000000000000000000000000000000000000000000000000000000000000000' +
+      '0000000000000000000000000000000000000000000000000000000000000000' +
+      '0000000000000000000000000000000000000000000000000000000000000000' +
+      '03000000000000000000000000000000' + f, 'hex')
+  }
+
+  t.test('should only be active since istanbul', function (st) {
+    st.notOk(new VM({ hardfork: 'petersburg' })._getPrecompiled(address), 'petersburg')
+    st.equal(new VM({ hardfork: 'istanbul' })._getPrecompiled(address), blake2f, 'istanbul')
+    st.end()
+  })
+
+  t.test('should compress the block', function (st) {
+    var results = blake2f({ data: input('0000000c', '01'), gasLimit: new BN(100000), hardfork: 'istanbul' })
+    st.equal(results.exception, 1)
+    st.equal(results.gasUsed.toNumber(), 12)
+    st.equal(results.return.toString('hex'),
+      'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923')
+
+    results = blake2f({ data: input('0000000c', '00'), gasLimit: new BN(100000), hardfork: 'istanbul' })
+    st.equal(results.return.toString('hex'),
+      '75ab69d3190a562c51aef8d88f1c2775876944407270c42c9844252c26d2875298743e7f6d5ea2f2d3e8d226039cd31b4e426ac4f2d3d666a610c2116fde4735')
+
+    results = blake2f({ data: input('00000001', '01'), gasLimit: new BN(100000), hardfork: 'istanbul' })
+    st.equal(results.gasUsed.toNumber(), 1)
+    st.equal(results.return.toString('hex'),
+      'b63a380cb2897d521994a85234ee2c181b5f844d2c624c002677e9703449d2fba551b3a8333bcdf5f2f7e08993d53923de3d64fcc68c034e717b9293fed7a421')
+    st.end()
+  })
+
+  t.test('should fail for invalid input', function (st) {
+    var results = blake2f({ data: input('0000000c', '02'), gasLimit: new BN(100000), hardfork: 'istanbul' })
+    st.equal(results.exception, 0)
+    st.equal(results.exceptionError, 'invalid input')
+    st.equal(results.gasUsed.toNumber(), 100000, 'should consume all gas')
+
+    results = blake2f({ data: input('0000000c', '01').slice(1), gasLimit: new BN(100000), hardfork: 'istanbul' })
+    st.equal(results.exception, 0)
+    st.equal(results.exceptionError, 'invalid input')
+    st.end()
+  })
+
+  t.test('should run out of gas', function (st) {
+    var results = blake2f({ data: input('0000000c', '01'), gasLimit: new BN(11), hardfork: 'istanbul' })
+    st.equal(results.exception, 0)
+    st.equal(results.exceptionError, 'out of gas')
+    st.equal(results.gasUsed.toNumber(), 11)
+    st.end()
+  })
+})
@@ -0,0 +1,448 @@
+const tape = require('tape')
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const rlp = utils.rlp
+const Trie = require('merkle-patricia-tree')
+const Block = require('ethereumjs-block')
+const Blockchain = require('ethereumjs-blockchain')
+const Transaction = require('ethereumjs-tx')
+const VM = require('../')
+
+const privateKey = utils.sha3('sender')
+const sender = utils.privateToAddress(privateKey)
+const to = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+const coinbase = Buffer.from('00000000000000000000000000000000000000cc', 'hex')
+
+// creates a VM with a funded sender and `code` deployed at `to`
+function setupVM (opts, code, cb) {
+  var vm = new VM(opts)
+  vm.stateManager.putAccountBalance(sender, new BN(10).pow(new BN(18)), function (err) {
+    if (err) return cb(err)
+    vm.stateManager.putContractCode(to, code, function (err) {
+      if (err) return cb(err)
+      vm.stateManager.cache.flush(function (err) {
+        cb(err, vm)
+      })
+    })
+  })
+}
+
+function createBlock (txs) {
+  var block = new Block()
+  block.header.gasLimit = Buffer.from('0fffff', 'hex')
+  block.header.coinbase = coinbase
+  txs.forEach(function (txData, i) {
+    var tx = new Transaction(Object.assign({ nonce: i, gasPrice: 1, gasLimit: 50000, to: to }, txData))
+    tx.sign(privateKey)
+    block.transactions.push(tx)
+  })
+  return block
+}
+
+// builds the receipt trie from the RLP encoded receipts
+function receiptRoot (rawReceipts, cb) {
+  var trie = new Trie()
+  var i = 0
+  ;(function next () {
+    if (i === rawReceipts.length) return cb(trie.root)
+    trie.put(rlp.encode(i), rlp.encode(rawReceipts[i++]), next)
+  })()
+}
+
+tape('runBlock receipts', function (t) {
+  // reverts if it is called with data, else returns
+  var code = Buffer.from('36600557005b60006000fd', 'hex')
+
+  t.test('should contain the status of the txs since byzantium', function (st) {
+    setupVM({ hardfork: 'byzantium' }, code, function (err, vm) {
+      st.error(err)
+      var block = createBlock([{}, { data: '0x01' }])
+      vm.runBlock({ block: block, generate: true }, function (err, result) {
+        st.error(err)
+        var receipts = result.receipts
+        st.equal(receipts[0].status, 1)
+        st.equal(receipts[1].status, 0)
+        st.equal(receipts[0].stateRoot, undefined)
+
+        receiptRoot(receipts.map(function (receipt) {
+          return [receipt.status ? Buffer.from([1]) : Buffer.alloc(0), receipt.gasUsed, receipt.bitvector, receipt.logs]
+        }), function (root) {
+          st.equal(block.header.receiptTrie.toString('hex'), root.toString('hex'))
+          st.end()
+        })
+      })
+    })
+  })
+
+  t.test('should contain the intermediate state root before byzantium', function (st) {
+    setupVM({ hardfork: 'spuriousDragon' }, code, function (err, vm) {
+      st.error(err)
+      var block = createBlock([{}, { data: '0x01' }])
+      vm.runBlock({ block: block, generate: true }, function (err, result) {
+        st.error(err)
+        var receipts = result.receipts
+        st.equal(receipts[0].status, undefined)
+        st.equal(receipts[0].stateRoot.length, 32)
+        st.notEqual(receipts[0].stateRoot.toString('hex'), receipts[1].stateRoot.toString('hex'))
+
+        receiptRoot(receipts.map(function (receipt) {
+          return [receipt.stateRoot, receipt.gasUsed, receipt.bitvector, receipt.logs]
+        }), function (root) {
+          st.equal(block.header.receiptTrie.toString('hex'), root.toString('hex'))
+          st.end()
+        })
+      })
+    })
+  })
+})
+
+tape('runBlock rewards', function (t) {
+  const ommerCoinbase = Buffer.from('00000000000000000000000000000000000000dd', 'hex')
+  const ether = new BN(10).pow(new BN(18))
+
+  // runs a block with one ommer and returns the balances of the miner and of the ommer's miner
+  function runRewardBlock (opts, cb) {
+    setupVM(opts, Buffer.alloc(0), function (err, vm) {
+      if (err) return cb(err)
+      var block = createBlock([])
+      block.header.number = Buffer.from([10])
+      var ommer = new Block().header
+      ommer.number = Buffer.from([9])
+      ommer.coinbase = ommerCoinbase
+      block.uncleHeaders.push(ommer)
+
+      vm.runBlock({ block: block, generate: true }, function (err) {
+        if (err) return cb(err)
+        vm.stateManager.getAccountBalance(coinbase, function (err, minerBalance) {
+          if (err) return cb(err)
+          vm.stateManager.getAccountBalance(ommerCoinbase, function (err, ommerBalance) {
+            cb(err, new BN(minerBalance), new BN(ommerBalance))
+          })
+        })
+      })
+    })
+  }
+
+  function testRewards (hardfork, reward) {
+    t.test('should pay ' + reward + ' ether since ' + hardfork, function (st) {
+      runRewardBlock({ hardfork: hardfork }, function (err, minerBalance, ommerBalance) {
+        st.error(err)
+        var minerReward = ether.muln(reward)
+        st.equal(minerBalance.toString(), minerReward.add(minerReward.divn(32)).toString())
+        st.equal(ommerBalance.toString(), minerReward.muln(7).divn(8).toString())
+        st.end()
+      })
+    })
+  }
+
+  testRewards('chainstart', 5)
+  testRewards('byzantium', 3)
+  testRewards('constantinople', 2)
+
+  t.test('should pay no rewards since the merge', function (st) {
+    runRewardBlock({ hardfork: 'merge' }, function (err, minerBalance, ommerBalance) {
+      st.error(err)
+      st.ok(minerBalance.isZero())
+      st.ok(ommerBalance.isZero())
+      st.end()
+    })
+  })
+
+  t.test('should pay no rewards if they are disabled', function (st) {
+    runRewardBlock({ hardfork: 'byzantium', chain: { blockRewards: false } }, function (err, minerBalance, ommerBalance) {
+      st.error(err)
+      st.ok(minerBalance.isZero())
+      st.ok(ommerBalance.isZero())
+      st.end()
+    })
+  })
+
+  t.test('should use the rewards of the fork active at the block', function (st) {
+    var chain = { hardforks: { chainstart: 0, byzantium: 5, constantinople: 20 } }
+    runRewardBlock({ chain: chain }, function (err, minerBalance) {
+      st.error(err)
+      st.equal(minerBalance.toString(), ether.muln(3).add(ether.muln(3).divn(32)).toString())
+      st.end()
+    })
+  })
+})
+
+tape('runBlock DAO fork', function (t) {
+  const drained = [
+    Buffer.from('00000000000000000000000000000000000000d1', 'hex'),
+    Buffer.from('00000000000000000000000000000000000000d2', 'hex')
+  ]
+  const refundContract = Buffer.from('00000000000000000000000000000000000000d0', 'hex')
+  const chain = {
+    hardforks: { chainstart: 0, homestead: 0, dao: 5 },
+    dao: {
+      refundContract: refundContract.toString('hex'),
+      drainList: drained.map(function (address) { return address.toString('hex') })
+    }
+  }
+  const daoExtraData = Buffer.from('dao-hard-fork')
+
+  function setupDAOVM (cb) {
+    setupVM({ chain: chain }, Buffer.alloc(0), function (err, vm) {
+      if (err) return cb(err)
+      vm.stateManager.putAccountBalance(drained[0], new BN(100).toArrayLike(Buffer), function (err) {
+        if (err) return cb(err)
+        vm.stateManager.putAccountBalance(drained[1], new BN(50).toArrayLike(Buffer), function (err) {
+          if (err) return cb(err)
+          vm.stateManager.cache.flush(function (err) {
+            cb(err, vm)
+          })
+        })
+      })
+    })
+  }
+
+  function createForkBlock (number, extraData) {
+    var block = createBlock([])
+    block.header.number = Buffer.from([number])
+    block.header.extraData = extraData || Buffer.alloc(0)
+    return block
+  }
+
+  function getBalance (vm, address, cb) {
+    vm.stateManager.getAccountBalance(address, function (err, balance) {
+      cb(err, new BN(balance).toNumber())
+    })
+  }
+
+  t.test('should move the balances of the drained accounts to the refund contract', function (st) {
+    setupDAOVM(function (err, vm) {
+      st.error(err)
+      vm.runBlock({ block: createForkBlock(5, daoExtraData), generate: true }, function (err) {
+        st.error(err)
+        getBalance(vm, refundContract, function (err, balance) {
+          st.error(err)
+          st.equal(balance, 150)
+          getBalance(vm, drained[0], function (err, balance) {
+            st.error(err)
+            st.equal(balance, 0)
+            st.end()
+          })
+        })
+      })
+    })
+  })
+
+  t.test('should only change the state at the fork block', function (st) {
+    setupDAOVM(function (err, vm) {
+      st.error(err)
+      vm.runBlock({ block: createForkBlock(6, daoExtraData), generate: true }, function (err) {
+        st.error(err)
+        getBalance(vm, drained[0], function (err, balance) {
+          st.error(err)
+          st.equal(balance, 100)
+          st.end()
+        })
+      })
+    })
+  })
+
+  t.test('should check the extra data of the first fork blocks', function (st) {
+    setupDAOVM(function (err, vm) {
+      st.error(err)
+      vm.runBlock({ block: createForkBlock(14), generate: true }, function (err) {
+        st.equal(err, 'invalid DAO fork extra data')
+        vm.runBlock({ block: createForkBlock(15), generate: true }, function (err) {
+          st.error(err)
+          st.end()
+        })
+      })
+    })
+  })
+})
+
+tape('runBlock base fee', function (t) {
+  // a london block whose parent used `parentGasUsed` of its gas limit of 20000000
+  function createChildBlock (parentBaseFee, parentGasUsed) {
+    var parent = new VM.Block()
+    parent.header.gasLimit = new BN(20000000).toArrayLike(Buffer)
+    parent.header.gasUsed = new BN(parentGasUsed).toArrayLike(Buffer)
+    parent.header.baseFeePerGas = parentBaseFee
+    var block = new VM.Block()
+    block.header.gasLimit = Buffer.from('0fffff', 'hex')
+    block.header.coinbase = coinbase
+    return { parent: parent, block: block }
+  }
+
+  t.test('should serialize and hash the base fee with the header', function (st) {
+    var block = new VM.Block()
+    var hash = block.hash()
+    st.equal(block.header.raw.length, 15)
+    st.ok(hash.equals(new Block().hash()), 'should hash headers without it as before')
+
+    block.header.baseFeePerGas = new BN(7)
+    st.equal(block.header.raw.length, 16)
+    st.notOk(block.hash().equals(hash))
+
+    var decoded = new VM.Block(block.serialize())
+    st.deepEqual(decoded.header.baseFeePerGas, Buffer.from([7]))
+    st.ok(decoded.hash().equals(block.hash()))
+    st.equal(decoded.header.toJSON(true).baseFeePerGas, '0x07')
+
+    block.header.baseFeePerGas = undefined
+    st.ok(block.hash().equals(hash))
+    st.end()
+  })
+
+  t.test('should move the base fee towards the gas target', function (st) {
+    function baseFee (parentBaseFee, parentGasUsed) {
+      var blocks = createChildBlock(parentBaseFee, parentGasUsed)
+      return blocks.block.header.canonicalBaseFee(blocks.parent).toNumber()
+    }
+    st.equal(baseFee(undefined, 0), 1000000000, 'should start at the initial base fee')
+    st.equal(baseFee(1000, 10000000), 1000)
+    st.equal(baseFee(1000, 20000000), 1125)
+    st.equal(baseFee(1000, 0), 875)
+    st.equal(baseFee(1, 10000001), 2, 'should increase by at least 1')
+    st.end()
+  })
+
+  t.test('should generate and validate the base fee', function (st) {
+    var blocks = createChildBlock(1000, 20000000)
+    var opts = { hardfork: 'london', chain: { blockRewards: false } }
+    setupVM(opts, Buffer.alloc(0), function (err, vm) {
+      st.error(err)
+      vm.runBlock({ block: blocks.block, parentBlock: blocks.parent, generate: true }, function (err) {
+        st.error(err)
+        st.deepEqual(blocks.block.header.baseFeePerGas, new BN(1125).toArrayLike(Buffer))
+        setupVM(opts, Buffer.alloc(0), function (err, vm) {
+          st.error(err)
+          vm.runBlock({ block: blocks.block, parentBlock: blocks.parent }, function (err) {
+            st.error(err)
+            blocks.block.header.baseFeePerGas = new BN(1126)
+            vm.runBlock({ block: blocks.block, parentBlock: blocks.parent }, function (err) {
+              st.equal(err, 'invalid baseFeePerGas')
+              st.end()
+            })
+          })
+        })
+      })
+    })
+  })
+
+  t.test('should reject headers which cannot carry the base fee', function (st) {
+    var block = createBlock([])
+    var parent = createChildBlock(1000, 0).parent
+    setupVM({ hardfork: 'london' }, Buffer.alloc(0), function (err, vm) {
+      st.error(err)
+      vm.runBlock({ block: block, parentBlock: parent, generate: true }, function (err) {
+        st.equal(err, 'the baseFeePerGas of london blocks needs a VM.Block header')
+        st.end()
+      })
+    })
+  })
+
+  t.test('should only accept a base fee since london', function (st) {
+    var block = createChildBlock(1000, 0).block
+    setupVM({ hardfork: 'london' }, Buffer.alloc(0), function (err, vm) {
+      st.error(err)
+      vm.runBlock({ block: block }, function (err) {
+        st.equal(err, 'invalid baseFeePerGas', 'should require it since london')
+        block.header.baseFeePerGas = new BN(1000)
+        vm.runBlock({ block: block, hardfork: 'berlin', generate: true }, function (err) {
+          st.equal(err, 'invalid baseFeePerGas', 'should reject it before london')
+          st.end()
+        })
+      })
+    })
+  })
+})
+
+tape('runBlock typed transactions', function (t) {
+  t.test('should decode and run the typed transactions of a block', function (st) {
+    var block = new VM.Block()
+    block.header.gasLimit = Buffer.from('0fffff', 'hex')
+    block.header.coinbase = coinbase
+    var typedTx = new VM.TypedTransaction(1, { chainId: 1, nonce: 0, gasPrice: 1, gasLimit: 50000, to: to })
+    typedTx.sign(privateKey)
+    var legacyTx = new Transaction({ nonce: 1, gasPrice: 1, gasLimit: 50000, to: to })
+    legacyTx.sign(privateKey)
+    block.transactions.push(typedTx, legacyTx)
+
+    var serialized = block.serialize()
+    var decoded = new VM.Block(serialized)
+    st.ok(decoded.serialize().equals(serialized))
+    st.ok(decoded.transactions[0] instanceof VM.TypedTransaction)
+    st.ok(decoded.transactions[0].hash().equals(typedTx.hash()))
+    st.ok(decoded.transactions[1].hash().equals(legacyTx.hash()))
+    st.ok(decoded.validateTransactions())
+
+    var txTrie = new Trie()
+    txTrie.put(rlp.encode(0), typedTx.serialize(), function () {
+      txTrie.put(rlp.encode(1), legacyTx.serialize(), function () {
+        decoded.genTxTrie(function () {
+          decoded.header.transactionsTrie = txTrie.root
+          st.ok(decoded.validateTransactionsTrie(), 'should put the serialized typed txs in the trie')
+
+          setupVM({ hardfork: 'berlin' }, Buffer.alloc(0), function (err, vm) {
+            st.error(err)
+            vm.runBlock({ block: decoded, generate: true }, function (err, result) {
+              st.error(err)
+              st.deepEqual(result.receipts.map(function (receipt) { return receipt.status }), [1, 1])
+              st.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('runBlockchain', function (t) {
+  t.test('should pass on the error of the parent lookup', function (st) {
+    var block = new Block()
+    var blockchain = {
+      iterator: function (name, onBlock, cb) {
+        onBlock(block, false, cb)
+      },
+      getBlock: function (hash, cb) {
+        cb(new Error('parent not found'))
+      }
+    }
+    new VM({ blockchain: blockchain }).runBlockchain(function (err) {
+      st.equal(err.message, 'parent not found')
+      st.end()
+    })
+  })
+
+  t.test('should check the base fee of the blocks of the blockchain', function (st) {
+    var blockchain = new Blockchain(undefined, false)
+    var vm = new VM({ blockchain: blockchain, chain: { hardforks: { chainstart: 0, london: 1 } } })
+    var block = new Block()
+    block.header.number = Buffer.from([1])
+    block.header.difficulty = Buffer.from([1])
+
+    // ethereumjs-blockchain stores the headers without the base fee
+    var errors = []
+    var runBlock = vm.runBlock
+    vm.runBlock = function (opts, cb) {
+      st.ok(opts.block instanceof VM.Block)
+      st.ok(opts.parentBlock instanceof VM.Block)
+      runBlock.call(vm, opts, function (err, results) {
+        errors.push(err)
+        cb(err, results)
+      })
+    }
+
+    blockchain.getHead(function (err, genesis) {
+      st.error(err)
+      block.header.parentHash = genesis.hash()
+      blockchain.putBlock(block, function (err) {
+        st.error(err)
+        vm.runBlockchain(function (err) {
+          st.error(err)
+          st.deepEqual(errors, ['invalid baseFeePerGas'])
+          blockchain.getBlock(block.hash(), function (err) {
+            st.ok(err, 'should remove the invalid block')
+            st.end()
+          })
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,552 @@
+const tape = require('tape')
+const async = require('async')
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const Transaction = require('ethereumjs-tx')
+const VM = require('../')
+
+const privateKey = utils.sha3('sender')
+const sender = utils.privateToAddress(privateKey)
+const to = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+const coinbase = Buffer.from('00000000000000000000000000000000000000cc', 'hex')
+
+// creates a VM with a funded sender
+function setupVM (opts, cb) {
+  var vm = new VM(opts)
+  vm.stateManager.putAccountBalance(sender, new BN(10).pow(new BN(18)), function (err) {
+    if (err) return cb(err)
+    vm.stateManager.cache.flush(function (err) {
+      cb(err, vm)
+    })
+  })
+}
+
+function createBlock (baseFeePerGas) {
+  var block = new VM.Block()
+  block.header.gasLimit = Buffer.from('0fffff', 'hex')
+  block.header.coinbase = coinbase
+  block.header.baseFeePerGas = new BN(baseFeePerGas).toArrayLike(Buffer)
+  return block
+}
+
+function getBalances (vm, cb) {
+  async.mapSeries([sender, coinbase], function (address, next) {
+    vm.stateManager.getAccountBalance(address, function (err, balance) {
+      next(err, new BN(balance))
+    })
+  }, cb)
+}
+
+tape('TypedTransaction', function (t) {
+  t.test('should sign and recover the sender', function (st) {
+    var tx = new VM.TypedTransaction(2, {
+      chainId: 1,
+      maxFeePerGas: 30,
+      maxPriorityFeePerGas: 5,
+      gasLimit: 21000,
+      to: to
+    })
+    tx.sign(privateKey)
+    st.equal(tx.from.toString('hex'), sender.toString('hex'))
+    st.equal(tx.serialize()[0], 2, 'should prefix the type')
+
+    var decoded = new VM.TypedTransaction(2, tx.serialize().slice(1))
+    st.equal(decoded.hash().toString('hex'), tx.hash().toString('hex'))
+    st.equal(decoded.from.toString('hex'), sender.toString('hex'))
+    st.end()
+  })
+
+  t.test('should decode typed and legacy txs', function (st) {
+    var typed = new VM.TypedTransaction(1, { chainId: 1, gasPrice: 1, gasLimit: 21000, to: to, accessList: [[to, [Buffer.alloc(32)]]] })
+    typed.sign(privateKey)
+    var decoded = VM.TypedTransaction.fromSerialized(typed.serialize())
+    st.equal(decoded.type, 1)
+    st.equal(decoded.hash().toString('hex'), typed.hash().toString('hex'))
+    st.equal(decoded.accessList[0][0].toString('hex'), to.toString('hex'))
+
+    var legacy = new Transaction({ gasPrice: 1, gasLimit: 21000, to: to })
+    legacy.sign(privateKey)
+    decoded = VM.TypedTransaction.fromSerialized(legacy.serialize())
+    st.ok(decoded instanceof Transaction)
+    st.equal(decoded.hash().toString('hex'), legacy.hash().toString('hex'))
+    st.end()
+  })
+
+  t.test('should reject unknown types', function (st) {
+    st.throws(function () {
+      return new VM.TypedTransaction(0x7f)
+    }, /unsupported transaction type/)
+    st.end()
+  })
+})
+
+tape('EIP-1559 fee market', function (t) {
+  function feeMarketTx (maxFeePerGas, maxPriorityFeePerGas) {
+    var tx = new VM.TypedTransaction(2, {
+      chainId: 1,
+      maxFeePerGas: maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas,
+      gasLimit: 21000,
+      to: to
+    })
+    tx.sign(privateKey)
+    return tx
+  }
+
+  t.test('should burn the base fee and pay the priority fee to the miner', function (st) {
+    setupVM({ hardfork: 'london' }, function (err, vm) {
+      st.error(err)
+      var block = createBlock(10)
+
+      getBalances(vm, function (err, before) {
+        st.error(err)
+        vm.runTx({ tx: feeMarketTx(30, 5), block: block }, function (err, results) {
+          st.error(err)
+          st.equal(results.amountSpent.toNumber(), 21000 * 15, 'should pay the base fee plus the priority fee')
+          getBalances(vm, function (err, after) {
+            st.error(err)
+            st.equal(before[0].sub(after[0]).toNumber(), 21000 * 15, 'sender')
+            st.equal(after[1].sub(before[1]).toNumber(), 21000 * 5, 'miner')
+            st.end()
+          })
+        })
+      })
+    })
+  })
+
+  t.test('should only pay legacy txs gas price above the base fee to the miner', function (st) {
+    setupVM({ hardfork: 'london' }, function (err, vm) {
+      st.error(err)
+      var tx = new Transaction({ gasPrice: 12, gasLimit: 21000, to: to })
+      tx.sign(privateKey)
+
+      vm.runTx({ tx: tx, block: createBlock(10) }, function (err, results) {
+        st.error(err)
+        st.equal(results.amountSpent.toNumber(), 21000 * 12)
+        getBalances(vm, function (err, after) {
+          st.error(err)
+          st.equal(after[1].toNumber(), 21000 * 2, 'miner')
+          st.end()
+        })
+      })
+    })
+  })
+
+  t.test('should reject txs whose max fee is below the base fee', function (st) {
+    setupVM({ hardfork: 'london' }, function (err, vm) {
+      st.error(err)
+      vm.runTx({ tx: feeMarketTx(5, 1), block: createBlock(10) }, function (err) {
+        st.ok(/less than the block base fee/.test(err.message))
+        st.end()
+      })
+    })
+  })
+
+  t.test('should reject txs with a priority fee above the max fee', function (st) {
+    setupVM({ hardfork: 'london' }, function (err, vm) {
+      st.error(err)
+      vm.runTx({ tx: feeMarketTx(20, 25), block: createBlock(10) }, function (err) {
+        st.ok(/higher max priority fee/.test(err.message))
+        st.end()
+      })
+    })
+  })
+
+  t.test('should reject fee market txs before london', function (st) {
+    setupVM({ hardfork: 'berlin' }, function (err, vm) {
+      st.error(err)
+      vm.runTx({ tx: feeMarketTx(30, 5), block: createBlock(10) }, function (err) {
+        st.ok(/not supported before london/.test(err.message))
+        st.end()
+      })
+    })
+  })
+})
+
+tape('EIP-2929 access lists', function (t) {
+  t.test('should pre-warm the sender, the recipient and the precompiles', function (st) {
+    // BALANCE(sender) POP BALANCE(0x01) POP BALANCE(0x09) POP BALANCE(ADDRESS) POP
+    var code = Buffer.from('73' + sender.toString('hex') + '3150' + '60013150' + '60093150' + '303150', 'hex')
+
+    setupVM({ hardfork: 'berlin' }, function (err, vm) {
+      st.error(err)
+      vm.stateManager.putContractCode(to, code, function (err) {
+        st.error(err)
+        vm.stateManager.cache.flush(function (err) {
+          st.error(err)
+          var tx = new Transaction({ gasPrice: 1, gasLimit: 100000, to: to })
+          tx.sign(privateKey)
+
+          vm.runTx({ tx: tx, block: createBlock(0) }, function (err, results) {
+            st.error(err)
+            st.equal(results.gasUsed.toNumber(), 21000 + (3 + 100 + 2) * 3 + 2 + 100 + 2)
+            st.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('EIP-2930 access list transactions', function (t) {
+  var other = Buffer.from('00000000000000000000000000000000000000ee', 'hex')
+
+  function accessListTx () {
+    var tx = new VM.TypedTransaction(1, {
+      chainId: 1,
+      gasPrice: 1,
+      gasLimit: 100000,
+      to: to,
+      accessList: [[to, [Buffer.alloc(32)]], [other, []]]
+    })
+    tx.sign(privateKey)
+    return tx
+  }
+
+  t.test('should charge for the access list and pre-warm its entries', function (st) {
+    // SLOAD(0) POP BALANCE(0xee) POP
+    var code = Buffer.from('60005450' + '60ee3150', 'hex')
+
+    setupVM({ hardfork: 'berlin' }, function (err, vm) {
+      st.error(err)
+      vm.stateManager.putContractCode(to, code, function (err) {
+        st.error(err)
+        vm.stateManager.cache.flush(function (err) {
+          st.error(err)
+          var tx = accessListTx()
+          st.equal(tx.getBaseFee().toNumber(), 21000 + 2400 * 2 + 1900)
+
+          vm.runTx({ tx: tx, block: createBlock(0) }, function (err, results) {
+            st.error(err)
+            st.equal(results.gasUsed.toNumber(), 21000 + 2400 * 2 + 1900 + (3 + 100 + 2) * 2)
+            st.end()
+          })
+        })
+      })
+    })
+  })
+
+  t.test('should reject typed txs before berlin', function (st) {
+    setupVM({ hardfork: 'istanbul' }, function (err, vm) {
+      st.error(err)
+      vm.runTx({ tx: accessListTx(), block: createBlock(0) }, function (err) {
+        st.ok(/not supported before berlin/.test(err.message))
+        st.end()
+      })
+    })
+  })
+})
+
+tape('EIP-155 replay protection', function (t) {
+  function legacyTx (chainId) {
+    var tx = new Transaction({ gasPrice: 1, gasLimit: 21000, to: to, chainId: chainId })
+    tx.sign(privateKey)
+    return tx
+  }
+
+  function runTx (vmOpts, tx, cb) {
+    setupVM(vmOpts, function (err, vm) {
+      if (err) return cb(err)
+      vm.runTx({ tx: tx, block: createBlock(0) }, cb)
+    })
+  }
+
+  t.test('should run unprotected and protected txs of the chain', function (st) {
+    runTx({}, legacyTx(), function (err) {
+      st.error(err)
+      runTx({ chainId: 3 }, legacyTx(3), function (err) {
+        st.error(err)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should reject txs signed for another chain', function (st) {
+    runTx({}, legacyTx(3), function (err) {
+      st.equal(err.message, 'tx is signed for chain id 3 but the chain id is 1')
+      var tx = new VM.TypedTransaction(1, { chainId: 3, gasPrice: 1, gasLimit: 21000, to: to })
+      tx.sign(privateKey)
+      runTx({ hardfork: 'berlin' }, tx, function (err) {
+        st.equal(err.message, 'tx is signed for chain id 3 but the chain id is 1')
+        st.end()
+      })
+    })
+  })
+
+  t.test('should normalize the chain id to a number', function (st) {
+    st.equal(new VM({ chainId: '0x2a' }).chainId, 42)
+    st.equal(new VM({ chainId: new BN(42) }).chainId, 42)
+    st.equal(new VM({ chain: { chainId: 3 } }).chainId, 3)
+    st.equal(new VM({ chainId: 0, chain: { chainId: 3 } }).chainId, 0, 'should allow chain id 0')
+
+    var tx = new VM.TypedTransaction(1, { chainId: 0, gasPrice: 1, gasLimit: 21000, to: to })
+    tx.sign(privateKey)
+    runTx({ hardfork: 'berlin', chainId: 0 }, tx, function (err) {
+      st.error(err)
+      runTx({ hardfork: 'berlin', chainId: Buffer.from([3]) }, legacyTx(3), function (err) {
+        st.error(err)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should reject protected txs before spuriousDragon', function (st) {
+    runTx({ hardfork: 'homestead' }, legacyTx(1), function (err) {
+      st.ok(/not supported before spuriousDragon/.test(err.message))
+      st.end()
+    })
+  })
+})
+
+tape('EIP-2 homestead rules', function (t) {
+  var N = new BN('fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141', 16)
+
+  function runTx (hardfork, tx, cb) {
+    setupVM({ hardfork: hardfork }, function (err, vm) {
+      if (err) return cb(err)
+      vm.runTx({ tx: tx, block: createBlock(0) }, cb)
+    })
+  }
+
+  t.test('should only charge the contract creation fee since homestead', function (st) {
+    var tx = new Transaction({ gasPrice: 1, gasLimit: 60000 })
+    tx.sign(privateKey)
+    runTx('chainstart', tx, function (err, results) {
+      st.error(err)
+      st.equal(results.gasUsed.toNumber(), 21000)
+      st.equal(tx._homestead, true, 'should not change the tx')
+      runTx('homestead', tx, function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), 53000)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should only accept s-values above secp256k1n/2 before homestead', function (st) {
+    var tx = new Transaction({ gasPrice: 1, gasLimit: 21000, to: to })
+    tx.sign(privateKey)
+    // the other signature of the same key
+    tx.s = N.sub(new BN(tx.s)).toArrayLike(Buffer)
+    tx.v = Buffer.from([utils.bufferToInt(tx.v) === 27 ? 28 : 27])
+    runTx('chainstart', tx, function (err, results) {
+      st.error(err)
+      st.equal(results.gasUsed.toNumber(), 21000)
+      runTx('homestead', tx, function (err) {
+        st.equal(err.message, 'Invalid Signature')
+        st.end()
+      })
+    })
+  })
+})
+
+tape('EIP-2028 calldata cost', function (t) {
+  function runTx (hardfork, cb) {
+    setupVM({ hardfork: hardfork }, function (err, vm) {
+      if (err) return cb(err)
+      var tx = new Transaction({ gasPrice: 1, gasLimit: 30000, to: to, data: '0x0100' })
+      tx.sign(privateKey)
+      vm.runTx({ tx: tx, block: createBlock(0) }, cb)
+    })
+  }
+
+  t.test('should charge 16 gas per non-zero byte since istanbul', function (st) {
+    runTx('petersburg', function (err, results) {
+      st.error(err)
+      st.equal(results.gasUsed.toNumber(), 21000 + 68 + 4)
+      runTx('istanbul', function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), 21000 + 16 + 4)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should charge typed txs with the reduced cost', function (st) {
+    var tx = new VM.TypedTransaction(2, { chainId: 1, maxFeePerGas: 1, gasLimit: 30000, to: to, data: '0x01' })
+    st.equal(tx.getBaseFee().toNumber(), 21016)
+    st.equal(tx.getBaseFee('london').toNumber(), 21016)
+    st.end()
+  })
+})
+
+tape('per tx state', function (t) {
+  t.test('should be discarded when the tx fails', function (st) {
+    // TSTORE(0, 1) SSTORE(0, 2)
+    var code = Buffer.from('600160005d' + '6002600055', 'hex')
+    var key = utils.zeros(32)
+
+    setupVM({ hardfork: 'cancun' }, function (err, vm) {
+      st.error(err)
+      vm.stateManager.putContractCode(to, code, function (err) {
+        st.error(err)
+        vm.stateManager.cache.flush(function (err) {
+          st.error(err)
+          vm.on('afterTx', function (results, next) {
+            next(new Error('afterTx failed'))
+          })
+          var tx = new Transaction({ gasPrice: 1, gasLimit: 100000, to: to })
+          tx.sign(privateKey)
+
+          vm.runTx({ tx: tx, block: createBlock(0) }, function (err) {
+            st.equal(err.message, 'afterTx failed')
+            st.notOk(vm.stateManager.isWarmedAddress(to))
+            st.notOk(vm.stateManager.isWarmedStorage(to, key))
+            st.deepEqual(vm.stateManager._originalStorage, {})
+            vm.stateManager.getContractTransientStorage(to, key, function (err, value) {
+              st.error(err)
+              st.equal(value.length, 0)
+              st.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('london, shanghai and cancun rules', function (t) {
+  var other = Buffer.from('00000000000000000000000000000000000000ee', 'hex')
+
+  // runs a tx with `data` to `to` with `code` deployed there, or a creation tx without code
+  function runCodeTx (hardfork, code, data, cb) {
+    setupVM({ hardfork: hardfork }, function (err, vm) {
+      if (err) return cb(err)
+      async.series([
+        vm.stateManager.putContractCode.bind(vm.stateManager, to, Buffer.from(code || '', 'hex')),
+        vm.stateManager.putAccountBalance.bind(vm.stateManager, to, new BN(5)),
+        vm.stateManager.putContractStorage.bind(vm.stateManager, to, utils.zeros(32), Buffer.from([1])),
+        vm.stateManager.cache.flush.bind(vm.stateManager.cache)
+      ], function (err) {
+        if (err) return cb(err)
+        var tx = new Transaction({ gasPrice: 1, gasLimit: 100000, to: code ? to : undefined, data: data })
+        tx.sign(privateKey)
+        vm.runTx({ tx: tx, block: createBlock(0) }, function (err, results) {
+          cb(err, results, vm)
+        })
+      })
+    })
+  }
+
+  t.test('should cap the refund at a fifth of the gas used since london (EIP-3529)', function (st) {
+    // SSTORE(0, 0) clears the slot
+    runCodeTx('berlin', '6000600055', null, function (err, results) {
+      st.error(err)
+      st.equal(results.gasUsed.toNumber(), 26006 - Math.floor(26006 / 2), 'berlin')
+      runCodeTx('london', '6000600055', null, function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), 26006 - 4800, 'london')
+        st.end()
+      })
+    })
+  })
+
+  t.test('should not refund SELFDESTRUCT since london (EIP-3529)', function (st) {
+    // SELFDESTRUCT(0xee), sending the balance creates 0xee
+    var gasUsed = 21000 + 3 + 5000 + 2600 + 25000
+    runCodeTx('berlin', '60eeff', null, function (err, results) {
+      st.error(err)
+      st.equal(results.gasUsed.toNumber(), gasUsed - 24000, 'berlin')
+      runCodeTx('london', '60eeff', null, function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), gasUsed, 'london')
+        st.end()
+      })
+    })
+  })
+
+  t.test('should reject new code starting with 0xef since london (EIP-3541)', function (st) {
+    // MSTORE8(0, 0xef) RETURN(0, 1)
+    var initCode = '0x60ef60005360016000f3'
+    runCodeTx('berlin', null, initCode, function (err, results) {
+      st.error(err)
+      st.notOk(results.vm.exceptionError, 'berlin')
+      runCodeTx('london', null, initCode, function (err, results) {
+        st.error(err)
+        st.equal(results.vm.exceptionError, 'invalid code', 'london')
+        st.equal(results.gasUsed.toNumber(), 100000)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should warm the coinbase since shanghai (EIP-3651)', function (st) {
+    // BALANCE(coinbase) POP
+    runCodeTx('london', '60cc3150', null, function (err, results) {
+      st.error(err)
+      st.equal(results.gasUsed.toNumber(), 21000 + 3 + 2600 + 2, 'london')
+      runCodeTx('shanghai', '60cc3150', null, function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), 21000 + 3 + 100 + 2, 'shanghai')
+        st.end()
+      })
+    })
+  })
+
+  t.test('should charge and limit the init code since shanghai (EIP-3860)', function (st) {
+    var initCode = Buffer.alloc(64)
+    runCodeTx('london', null, initCode, function (err, results) {
+      st.error(err)
+      st.equal(results.gasUsed.toNumber(), 21000 + 32000 + 64 * 4, 'london')
+      runCodeTx('shanghai', null, initCode, function (err, results) {
+        st.error(err)
+        st.equal(results.gasUsed.toNumber(), 21000 + 32000 + 64 * 4 + 2 * 2, 'shanghai')
+        runCodeTx('shanghai', null, Buffer.alloc(49153), function (err) {
+          st.ok(/init code size exceeds the limit/.test(err.message))
+
+          // CREATE(0, 0, 49153)
+          new VM({ hardfork: 'shanghai' }).runCode({
+            code: Buffer.from('6200c00160006000f0', 'hex'),
+            gasLimit: Buffer.from('ffffff', 'hex')
+          }, function (err) {
+            st.equal(err, 'out of gas', 'CREATE')
+            st.end()
+          })
+        })
+      })
+    })
+  })
+
+  t.test('should only delete contracts created in the same tx since cancun (EIP-6780)', function (st) {
+    function getState (vm, address, cb) {
+      vm.stateManager.getAccount(address, function (err, account) {
+        if (err) return cb(err)
+        vm.stateManager.getContractCode(address, function (err, code) {
+          cb(err, account, code)
+        })
+      })
+    }
+
+    // SELFDESTRUCT(0xee)
+    runCodeTx('shanghai', '60eeff', null, function (err, results, vm) {
+      st.error(err)
+      getState(vm, to, function (err, account) {
+        st.error(err)
+        st.notOk(account.exists, 'shanghai')
+
+        runCodeTx('cancun', '60eeff', null, function (err, results, vm) {
+          st.error(err)
+          getState(vm, to, function (err, account, code) {
+            st.error(err)
+            st.equal(code.toString('hex'), '60eeff', 'cancun')
+            st.equal(new BN(account.balance).toNumber(), 0)
+            getState(vm, other, function (err, account) {
+              st.error(err)
+              st.equal(new BN(account.balance).toNumber(), 5, 'should send the balance')
+
+              // a contract selfdestructing in its init code
+              runCodeTx('cancun', null, '0x60eeff', function (err, results, vm) {
+                st.error(err)
+                getState(vm, results.createdAddress, function (err, account) {
+                  st.error(err)
+                  st.notOk(account.exists, 'should delete a created contract')
+                  st.end()
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+})
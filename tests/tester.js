@@ -3,6 +3,14 @@ const async = require('async')
 const tape = require('tape')
 const testing = require('ethereumjs-testing')
 const FORK_CONFIG = argv.fork || 'EIP158'
+// maps the fork names used by the tests to the VM's hardfork names
+const HARDFORKS = {
+  Frontier: 'chainstart',
+  Homestead: 'homestead',
+  EIP150: 'tangerineWhistle',
+  EIP158: 'spuriousDragon',
+  Byzantium: 'byzantium'
+}
 const skip = [
   'CreateHashCollision', // impossible hash collision on generating address
   'SuicidesMixingCoinbase', // sucides to the coinbase, since we run a blockLevel we create coinbase account.
@@ -33,11 +41,11 @@ const skip = [
   'CREATE_Bounds', // nodejs crash
   'DELEGATECALL_Bounds', // nodejs crash
   'RevertDepthCreateAddressCollision', // test case is wrong
-  'zeroSigTransactionInvChainID' // metropolis test
+  'zeroSigTransactionInvChainID' // EIP-86 zero signature tx, dropped from metropolis and not supported by ethereumjs-tx
 ]
 
 /*
-NOTE: VM tests have been disabled since they are generated using Frontier gas costs, and ethereumjs-vm doesn't support historical fork rules
+NOTE: VM tests are generated using Frontier gas costs, so they are always run with the `chainstart` hardfork
 
 TODO: some VM tests do not appear to be executing (don't print an "ok" statement):
 ...
@@ -87,6 +95,7 @@ if (argv.r) {
 } else if (argv.s) {
   runTests('GeneralStateTests', argv)
 } else if (argv.v) {
+  argv.hardfork = 'chainstart'
   runTests('VMTests', argv)
 } else if (argv.b) {
   runTests('BlockchainTests', argv)
@@ -137,6 +146,7 @@ function runTests (name, runnerArgs, cb) {
   testGetterArgs.test = argv.test
 
   runnerArgs.forkConfig = FORK_CONFIG
+  runnerArgs.hardfork = runnerArgs.hardfork || HARDFORKS[FORK_CONFIG]
   runnerArgs.debug = argv.debug // for BlockchainTests
   // runnerArgs.vmtrace = true; // for VMTests
 
@@ -164,9 +174,16 @@ function runTests (name, runnerArgs, cb) {
 function runAll () {
   require('./tester.js')
   require('./cacheTest.js')
+  require('./debuggerTest.js')
   require('./genesishashes.js')
+  require('./hardforkTest.js')
+  require('./opcodesTest.js')
+  require('./precompilesTest.js')
+  require('./runBlockTest.js')
+  require('./runTxTest.js')
+  require('./tracersTest.js')
   async.series([
-    // runTests.bind(this, 'VMTests', {}), // VM tests disabled since we don't support Frontier gas costs
+    runTests.bind(this, 'VMTests', { hardfork: 'chainstart' }),
     runTests.bind(this, 'GeneralStateTests', {}),
     runTests.bind(this, 'BlockchainTests', {})
   ])
@@ -0,0 +1,395 @@
+const tape = require('tape')
+const async = require('async')
+const utils = require('ethereumjs-util')
+const BN = utils.BN
+const Transaction = require('ethereumjs-tx')
+const VM = require('../')
+
+const privateKey = utils.sha3('sender')
+const sender = utils.privateToAddress(privateKey)
+const to = Buffer.from('00000000000000000000000000000000000000ff', 'hex')
+const callee = Buffer.from('00000000000000000000000000000000000000bb', 'hex')
+
+// stores 2 at slot 0, loads it and returns it
+const storeAndReturn = '6002600055' + '600054' + '600052' + '60206000f3'
+// calls the callee with 50000 gas
+const callCallee = '6000600060006000600073' + callee.toString('hex') + '61c350f100'
+// stores 1 at slot 0
+const storeOne = '6001600055'
+
+// creates a VM with a funded sender and the given code deployed
+function setupVM (codes, cb) {
+  var vm = new VM({ hardfork: 'byzantium' })
+  vm.stateManager.putAccountBalance(sender, new BN(10).pow(new BN(18)), function (err) {
+    if (err) return cb(err)
+    async.eachSeries(Object.keys(codes), function (address, next) {
+      vm.stateManager.putContractCode(Buffer.from(address, 'hex'), Buffer.from(codes[address], 'hex'), next)
+    }, function (err) {
+      if (err) return cb(err)
+      vm.stateManager.cache.flush(function (err) {
+        cb(err, vm)
+      })
+    })
+  })
+}
+
+function runTx (vm, nonce, cb) {
+  var tx = new Transaction({ nonce: nonce, gasPrice: 1, gasLimit: 100000, to: to })
+  tx.sign(privateKey)
+  vm.runTx({ tx: tx }, cb)
+}
+
+function word (n) {
+  return utils.setLengthLeft(Buffer.from([n]), 32).toString('hex')
+}
+
+tape('StructLogTracer', function (t) {
+  t.test('should collect the steps like debug_traceTransaction', function (st) {
+    var codes = {}
+    codes[to.toString('hex')] = storeAndReturn
+    setupVM(codes, function (err, vm) {
+      st.error(err)
+      var tracer = new VM.tracers.StructLogTracer(vm)
+      runTx(vm, 0, function (err) {
+        st.error(err)
+        var result = tracer.getResult()
+        st.equal(result.gas, 41224)
+        st.equal(result.failed, false)
+        st.equal(result.returnValue, word(2))
+
+        var logs = result.structLogs
+        st.deepEqual(logs.map(function (log) { return log.op }), ['PUSH1', 'PUSH1', 'SSTORE', 'PUSH1', 'SLOAD', 'PUSH1', 'MSTORE', 'PUSH1', 'PUSH1', 'RETURN'])
+        st.deepEqual(logs.map(function (log) { return log.gasCost }), [3, 3, 20000, 3, 200, 3, 6, 3, 3, 0])
+        st.deepEqual(logs[0], { pc: 0, op: 'PUSH1', gas: 79000, gasCost: 3, depth: 1, stack: [], memory: [], storage: {} })
+        st.deepEqual(logs[2].stack, [word(2), word(0)], 'should list the stack from the bottom')
+        var storage = {}
+        storage[word(0)] = word(2)
+        st.deepEqual(logs[2].storage, storage, 'should record SSTORE')
+        st.deepEqual(logs[4].storage, storage, 'should record SLOAD')
+        st.deepEqual(logs[9].memory, [word(2)])
+        st.end()
+      })
+    })
+  })
+
+  t.test('should charge calls with the gas given to the sub call', function (st) {
+    var codes = {}
+    codes[to.toString('hex')] = callCallee
+    codes[callee.toString('hex')] = storeOne
+    setupVM(codes, function (err, vm) {
+      st.error(err)
+      var tracer = new VM.tracers.StructLogTracer(vm)
+      runTx(vm, 0, function (err) {
+        st.error(err)
+        var logs = tracer.getResult().structLogs
+        st.deepEqual(logs.map(function (log) { return log.op + ' ' + log.depth + ' ' + log.gasCost }), [
+          'PUSH1 1 3', 'PUSH1 1 3', 'PUSH1 1 3', 'PUSH1 1 3', 'PUSH1 1 3', 'PUSH20 1 3', 'PUSH2 1 3', 'CALL 1 50700',
+          'PUSH1 2 3', 'PUSH1 2 3', 'SSTORE 2 20000',
+          'STOP 1 0'
+        ])
+        st.equal(logs[8].gas, 50000)
+        st.end()
+      })
+    })
+  })
+
+  t.test('should not capture what is disabled', function (st) {
+    var codes = {}
+    codes[to.toString('hex')] = storeAndReturn
+    setupVM(codes, function (err, vm) {
+      st.error(err)
+      var tracer = new VM.tracers.StructLogTracer(vm, { disableStack: true, disableMemory: true, disableStorage: true })
+      runTx(vm, 0, function (err) {
+        st.error(err)
+        var logs = tracer.getResult().structLogs
+        st.deepEqual(logs[4], { pc: 7, op: 'SLOAD', gas: 58991, gasCost: 200, depth: 1 })
+        tracer.detach()
+        runTx(vm, 1, function (err) {
+          st.error(err)
+          st.equal(tracer.getResult().structLogs.length, 10, 'should stop tracing when detached')
+          st.end()
+        })
+      })
+    })
+  })
+})
+
+tape('CallTracer', function (t) {
+  const reverter = Buffer.from('00000000000000000000000000000000000000cc', 'hex')
+
+  t.test('should record the call tree', function (st) {
+    var codes = {}
+    codes[to.toString('hex')] =
+      // CALL the callee
+      '6000600060006000600073' + callee.toString('hex') + '61c350f150' +
+      // STATICCALL the identity precompile with a word
+      '60206000602060006004612710fa50' +
+      // DELEGATECALL the reverting contract
+      '600060006000600073' + reverter.toString('hex') + '612710f450' +
+      '00'
+    codes[callee.toString('hex')] = storeOne
+    codes[reverter.toString('hex')] = '60006000fd'
+    setupVM(codes, function (err, vm) {
+      st.error(err)
+      var tracer = new VM.tracers.CallTracer(vm)
+      runTx(vm, 0, function (err, results) {
+        st.error(err)
+        var zeros = '0x' + utils.zeros(32).toString('hex')
+        st.deepEqual(tracer.getResult(), {
+          type: 'CALL',
+          from: '0x' + sender.toString('hex'),
+          to: '0x' + to.toString('hex'),
+          value: '0x0',
+          gas: '0x186a0',
+          gasUsed: '0x' + results.gasUsed.toString(16),
+          input: '0x',
+          output: '0x',
+          calls: [{
+            type: 'CALL',
+            from: '0x' + to.toString('hex'),
+            to: '0x' + callee.toString('hex'),
+            value: '0x0',
+            gas: '0xc350',
+            gasUsed: '0x4e26',
+            input: '0x',
+            output: '0x'
+          }, {
+            type: 'STATICCALL',
+            from: '0x' + to.toString('hex'),
+            to: '0x0000000000000000000000000000000000000004',
+            gas: '0x2710',
+            gasUsed: '0x12',
+            input: zeros,
+            output: zeros
+          }, {
+            type: 'DELEGATECALL',
+            from: '0x' + to.toString('hex'),
+            to: '0x' + reverter.toString('hex'),
+            gas: '0x2710',
+            gasUsed: '0x6',
+            input: '0x',
+            output: '0x',
+            error: 'revert'
+          }]
+        })
+        st.end()
+      })
+    })
+  })
+
+  t.test('should record the calls which fail before they run', function (st) {
+    var codes = {}
+    codes[to.toString('hex')] =
+      // CALL the callee with 1 wei the contract doesn't have
+      '60006000600060006001' + '73' + callee.toString('hex') + '61c350f150' +
+      // CREATE with 1 wei
+      '600060006001f050' +
+      '00'
+    setupVM(codes, function (err, vm) {
+      st.error(err)
+      var tracer = new VM.tracers.CallTracer(vm)
+      runTx(vm, 0, function (err) {
+        st.error(err)
+        var calls = tracer.getResult().calls
+        st.deepEqual(calls[0], {
+          type: 'CALL',
+          from: '0x' + to.toString('hex'),
+          to: '0x' + callee.toString('hex'),
+          value: '0x1',
+          gas: '0xb340',
+          gasUsed: '0x0',
+          input: '0x',
+          error: 'insufficient balance for transfer'
+        })
+        st.equal(calls[1].type, 'CREATE')
+        st.equal(calls[1].to, '0x' + utils.generateAddress(to, new BN(0).toArray()).toString('hex'))
+        st.equal(calls[1].gasUsed, '0x0')
+        st.equal(calls[1].error, 'insufficient balance for transfer')
+        st.end()
+      })
+    })
+  })
+
+  t.test('should record contract creations', function (st) {
+    setupVM({}, function (err, vm) {
+      st.error(err)
+      var tracer = new VM.tracers.CallTracer(vm)
+      // returns the code 0x00
+      var tx = new Transaction({ gasPrice: 1, gasLimit: 100000, data: '0x60016000f3' })
+      tx.sign(privateKey)
+      vm.runTx({ tx: tx }, function (err, results) {
+        st.error(err)
+        var call = tracer.getResult()
+        st.equal(call.type, 'CREATE')
+        st.equal(call.to, '0x' + results.createdAddress.toString('hex'))
+        st.equal(call.input, '0x60016000f3')
+        st.equal(call.output, '0x00')
+        st.equal(call.calls, undefined)
+        st.end()
+      })
+    })
+  })
+})
+
+tape('PrestateTracer', function (t) {
+  const destructed = Buffer.from('00000000000000000000000000000000000000dd', 'hex')
+  const beneficiary = Buffer.from('00000000000000000000000000000000000000ee', 'hex')
+  const contractCode =
+    // SLOAD slot 1
+    '60015450' +
+    // SSTORE 2 at slot 0
+    '6002600055' +
+    // CALL the contract which self-destructs
+    '6000600060006000600073' + destructed.toString('hex') + '61c350f150' +
+    '00'
+  const destructedCode = '73' + beneficiary.toString('hex') + 'ff'
+
+  function slot (n) {
+    return '0x' + word(n)
+  }
+
+  function hex (buf) {
+    return '0x' + buf.toString('hex')
+  }
+
+  function setupState (cb) {
+    var codes = {}
+    codes[to.toString('hex')] = contractCode
+    codes[destructed.toString('hex')] = destructedCode
+    setupVM(codes, function (err, vm) {
+      if (err) return cb(err)
+      async.series([
+        vm.stateManager.putContractStorage.bind(vm.stateManager, to, Buffer.from(word(0), 'hex'), Buffer.from([5])),
+        vm.stateManager.putContractStorage.bind(vm.stateManager, to, Buffer.from(word(1), 'hex'), Buffer.from([7])),
+        vm.stateManager.putAccountBalance.bind(vm.stateManager, destructed, new BN(1000).toArrayLike(Buffer)),
+        vm.stateManager.cache.flush.bind(vm.stateManager.cache)
+      ], function (err) {
+        cb(err, vm)
+      })
+    })
+  }
+
+  t.test('should report the state before the tx of the accessed accounts', function (st) {
+    setupState(function (err, vm) {
+      st.error(err)
+      var tracer = new VM.tracers.PrestateTracer(vm)
+      runTx(vm, 0, function (err) {
+        st.error(err)
+        tracer.getResult(function (err, result) {
+          st.error(err)
+          var storage = {}
+          storage[slot(0)] = slot(5)
+          storage[slot(1)] = slot(7)
+          st.deepEqual(result[hex(sender)], { balance: '0xde0b6b3a7640000' })
+          st.deepEqual(result[hex(to)], { balance: '0x0', code: '0x' + contractCode, storage: storage })
+          st.deepEqual(result[hex(destructed)], { balance: '0x3e8', code: '0x' + destructedCode })
+          st.deepEqual(result[hex(beneficiary)], { balance: '0x0' })
+          st.end()
+        })
+      })
+    })
+  })
+
+  t.test('should report the changes in diff mode', function (st) {
+    setupState(function (err, vm) {
+      st.error(err)
+      var tracer = new VM.tracers.PrestateTracer(vm, { diffMode: true })
+      runTx(vm, 0, function (err, results) {
+        st.error(err)
+        tracer.getResult(function (err, result) {
+          st.error(err)
+          var preStorage = {}
+          preStorage[slot(0)] = slot(5)
+          var postStorage = {}
+          postStorage[slot(0)] = slot(2)
+          var fee = results.gasUsed
+
+          st.deepEqual(result.pre[hex(sender)], { balance: '0xde0b6b3a7640000' })
+          st.deepEqual(result.post[hex(sender)], { balance: '0x' + new BN(10).pow(new BN(18)).sub(fee).toString(16), nonce: 1 })
+          st.deepEqual(result.pre[hex(to)], { balance: '0x0', code: '0x' + contractCode, storage: preStorage })
+          st.deepEqual(result.post[hex(to)], { storage: postStorage })
+          st.deepEqual(result.pre[hex(destructed)], { balance: '0x3e8', code: '0x' + destructedCode }, 'should report self-destructed accounts')
+          st.equal(result.post[hex(destructed)], undefined)
+          st.equal(result.pre[hex(beneficiary)], undefined)
+          st.deepEqual(result.post[hex(beneficiary)], { balance: '0x3e8' }, 'should report created accounts')
+          st.end()
+        })
+      })
+    })
+  })
+})
+
+tape('GasProfiler', function (t) {
+  const toLabel = '0x' + to.toString('hex')
+  const calleeLabel = toLabel + ';0x' + callee.toString('hex')
+
+  t.test('should add up the gas per opcode, pc and call frame', function (st) {
+    var codes = {}
+    codes[to.toString('hex')] = callCallee
+    codes[callee.toString('hex')] = storeOne
+    setupVM(codes, function (err, vm) {
+      st.error(err)
+      var profiler = new VM.tracers.GasProfiler(vm)
+      runTx(vm, 0, function (err) {
+        st.error(err)
+        var result = profiler.getResult()
+        st.deepEqual(result.opcodes.PUSH1, { count: 7, gas: 21, staticGas: 21, dynamicGas: 0 })
+        st.deepEqual(result.opcodes.CALL, { count: 1, gas: 700, staticGas: 700, dynamicGas: 0 }, 'should not count the gas of the callee')
+        st.deepEqual(result.opcodes.SSTORE, { count: 1, gas: 20000, staticGas: 0, dynamicGas: 20000 })
+        st.deepEqual(result.pcs['0x' + callee.toString('hex')]['4'], { op: 'SSTORE', count: 1, gas: 20000 })
+        st.deepEqual(result.frames[toLabel], { count: 1, gas: 721, totalGas: 20727 })
+        st.deepEqual(result.frames[calleeLabel], { count: 1, gas: 20006, totalGas: 20006 })
+
+        st.equal(profiler.toCollapsedStacks(), [
+          toLabel + ';PUSH1 15',
+          toLabel + ';PUSH20 3',
+          toLabel + ';PUSH2 3',
+          calleeLabel + ';PUSH1 6',
+          calleeLabel + ';SSTORE 20000',
+          toLabel + ';CALL 700',
+          toLabel + ';STOP 0'
+        ].join('\n'))
+
+        runTx(vm, 1, function (err) {
+          st.error(err)
+          st.equal(profiler.getResult().frames[toLabel].count, 2, 'should add up the txs until it is reset')
+          profiler.reset()
+          st.deepEqual(profiler.getResult().frames, {})
+          st.end()
+        })
+      })
+    })
+  })
+
+  t.test('should count the stipend and precompiles', function (st) {
+    var codes = {}
+    codes[to.toString('hex')] =
+      // CALL the callee with 1 wei
+      '6000600060006000600173' + callee.toString('hex') + '61c350f150' +
+      // STATICCALL the identity precompile with a word
+      '60206000602060006004612710fa50' +
+      '00'
+    codes[callee.toString('hex')] = storeOne
+    setupVM(codes, function (err, vm) {
+      st.error(err)
+      vm.stateManager.putAccountBalance(to, Buffer.from([1]), function (err) {
+        st.error(err)
+        vm.stateManager.cache.flush(function (err) {
+          st.error(err)
+          var profiler = new VM.tracers.GasProfiler(vm)
+          runTx(vm, 0, function (err) {
+            st.error(err)
+            var result = profiler.getResult()
+            // the value transfer costs 9000 of which the callee gets 2300
+            st.deepEqual(result.opcodes.CALL, { count: 1, gas: 7400, staticGas: 700, dynamicGas: 6700 })
+            // expanding the memory to a word costs 3
+            st.deepEqual(result.opcodes.STATICCALL, { count: 1, gas: 703, staticGas: 700, dynamicGas: 3 })
+            st.deepEqual(result.frames[toLabel + ';0x0000000000000000000000000000000000000004'], { count: 1, gas: 18, totalGas: 18 })
+            st.ok(profiler.toCollapsedStacks().split('\n').indexOf(toLabel + ';0x0000000000000000000000000000000000000004 18') !== -1)
+            st.end()
+          })
+        })
+      })
+    })
+  })
+})